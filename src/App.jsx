@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
 /* Import Styles */
 import './theme.css';
 
@@ -8,10 +8,34 @@ import Wizard from './components/Wizard';
 import TagSelector from './components/TagSelector';
 import ResultGenerator from './components/ResultGenerator';
 import TemplateSidebar from './components/TemplateSidebar';
+import TaskTypePicker from './components/TaskTypePicker';
+import ConstraintEditor from './components/ConstraintEditor';
+import PersonaEditor from './components/PersonaEditor';
+import VariableForm from './components/VariableForm';
+import ImportDialog from './components/ImportDialog';
+import VersionHistory from './components/VersionHistory';
+import ResumePrompt from './components/ResumePrompt';
+import DraftList from './components/DraftList';
+import HistoryPanel from './components/HistoryPanel';
 
 /* Import Engine */
-import { CoStarBuilder, PromptPresets } from './utils/promptEngine';
+import { CoStarBuilder } from './utils/promptEngine';
+import { composePrompt, getPresetConstraints, findMissingEssentials, EMPTY_PERSONA } from './utils/promptComposer';
+import { OUTPUT_FORMATS } from './utils/promptRenderers';
+import { PROMPT_LOCALES, DEFAULT_LOCALE } from './utils/promptLocale';
+import { TOKENIZER_PROFILES, DEFAULT_TOKENIZER } from './utils/tokenEstimator';
 import { analyzeTask } from './utils/mockAI';
+import { listTaskTypes } from './utils/taskClassifier';
+import { planQuestions } from './utils/questionPlanner';
+import { visibleQuestions } from './utils/conditions';
+import { extractVariables, substituteVariables } from './utils/templateVariables';
+import { downloadTemplates, parseTemplateFile, mergeTemplates } from './utils/templateTransfer';
+import { contentOf, addVersion, restoreVersion } from './utils/templateVersions';
+import { listTemplates, putTemplates, deleteTemplate } from './utils/templateStore';
+import { loadSession, saveSession, clearSession, listDrafts, pushDraft, removeDraft } from './utils/sessionDrafts';
+import { listHistory, recordGeneration, removeHistoryEntry, clearHistory } from './utils/generationHistory';
+/* Import Data */
+import { constraintLibrary } from './data/constraintLibrary';
 /* Import Weather */
 import { getWeather, getWeatherTheme } from './utils/weatherService';
 
@@ -29,6 +53,31 @@ import { getWeather, getWeatherTheme } from './utils/weatherService';
  * @copyright (c) 2026 Feng. All rights reserved.
  */
 
+/** Local Storage key of the user-defined tags. */
+const CUSTOM_TAGS_KEY = 'bubble_custom_tags';
+
+/** Tag groups that accept user-defined tags. */
+const EMPTY_CUSTOM_TAGS = { style: [], tone: [], industry: [] };
+
+/**
+ * Reads the user-defined tags from Local Storage.
+ * 
+ * @returns {Object} Custom tags keyed by tag type ('style', 'tone', 'industry').
+ */
+const loadCustomTags = () => {
+  try {
+    return { ...EMPTY_CUSTOM_TAGS, ...JSON.parse(localStorage.getItem(CUSTOM_TAGS_KEY) || '{}') };
+  } catch {
+    return EMPTY_CUSTOM_TAGS;
+  }
+};
+
+// Predefined options for tags
+const styleOptions = ['专业严谨', '幽默风趣', '温暖治愈', '简洁明了', '极客硬核', '逻辑缜密'];
+const industryOptions = ['互联网', '教育', '金融', '电商', '医疗', '法律', '创意写作'];
+const toneOptions = ['亲切友好', '正式庄重', '热情洋溢', '冷静客观', '轻松幽默', '委婉礼貌'];
+const builtInTags = { style: styleOptions, tone: toneOptions, industry: industryOptions };
+
 /**
  * Main Application Component.
  * 
@@ -42,7 +91,7 @@ const App = () => {
 
   /** 
    * @state {string} step - Controls the current view/stage of the application wizard.
-   * Possible values: 'input', 'wizard', 'tagging', 'result'.
+   * Possible values: 'input', 'confirm', 'wizard', 'tagging', 'result'.
    */
   const [step, setStep] = useState('input');
 
@@ -56,6 +105,11 @@ const App = () => {
    */
   const [taskType, setTaskType] = useState('General');
 
+  /** 
+   * @state {Object|null} classification - The classifier result for the current input {type, label, confidence, alternatives}. 
+   */
+  const [classification, setClassification] = useState(null);
+
   /** 
    * @state {Array<Object>} questions - List of questions generated for the current task to guide the user. 
    */
@@ -67,10 +121,45 @@ const App = () => {
   const [answers, setAnswers] = useState({});
 
   /** 
-   * @state {string} generatedPrompt - The final generated prompt output. 
+   * @state {number} wizardIndex - The question the wizard opens with (`questions.length` opens its review screen). 
+   */
+  const [wizardIndex, setWizardIndex] = useState(0);
+
+  /** 
+   * @state {string} generatedPrompt - The final generated prompt output (or the saved text of a loaded template). 
    */
   const [generatedPrompt, setGeneratedPrompt] = useState('');
 
+  /** 
+   * @state {Object|null} resultSpec - The prompt spec the result view edits and re-renders. 
+   */
+  const [resultSpec, setResultSpec] = useState(null);
+
+  /** 
+   * @state {number} resultRevision - Bumped whenever a new result is shown, so the result view starts fresh. 
+   */
+  const [resultRevision, setResultRevision] = useState(0);
+
+  /** 
+   * @state {Object|null} resultEdits - The result view's edits {spec, text}, where text is the free-edited text or null. 
+   */
+  const [resultEdits, setResultEdits] = useState(null);
+
+  /** 
+   * @state {string} outputFormat - The output format of the generated prompt ('markdown', 'xml', 'json', 'plain'). 
+   */
+  const [outputFormat, setOutputFormat] = useState('markdown');
+
+  /** 
+   * @state {string} promptLocale - The language of the prompt scaffold ('zh', 'en', 'bilingual'). 
+   */
+  const [promptLocale, setPromptLocale] = useState(DEFAULT_LOCALE);
+
+  /** 
+   * @state {Object} tokenSettings - Tokenizer profile and token budget for the result step {profile, budget}. 
+   */
+  const [tokenSettings, setTokenSettings] = useState({ profile: DEFAULT_TOKENIZER, budget: 0 });
+
   // =========================================================================================
   // Tag Selection State
   // =========================================================================================
@@ -85,20 +174,98 @@ const App = () => {
    */
   const [selectedIndustries, setSelectedIndustries] = useState([]);
 
+  /** 
+   * @state {string} selectedTone - The selected tone (single choice, empty for none). 
+   */
+  const [selectedTone, setSelectedTone] = useState('');
+
+  /** 
+   * @state {Object} persona - The structured role definition {role, expertiseYears, background}. 
+   */
+  const [persona, setPersona] = useState(EMPTY_PERSONA);
+
+  // =========================================================================================
+  // Constraint State
+  // =========================================================================================
+
+  /** 
+   * @state {Array<string>} customConstraints - User-defined constraints, in prompt order. 
+   */
+  const [customConstraints, setCustomConstraints] = useState([]);
+
+  /** 
+   * @state {Array<string>} disabledPresetConstraints - Preset constraints the user switched off. 
+   */
+  const [disabledPresetConstraints, setDisabledPresetConstraints] = useState([]);
+
+  /** 
+   * @state {Object} customTags - User-defined tags keyed by type ('style', 'tone', 'industry'), persisted to Local Storage. 
+   */
+  const [customTags, setCustomTags] = useState(loadCustomTags);
+
   // =========================================================================================
   // Sidebar (Templates) State
   // =========================================================================================
 
   /** 
-   * @state {Array<Object>} templates - List of saved prompt templates loaded from local storage. 
+   * @state {Array<Object>} templates - List of saved prompt templates loaded from the template store. 
    */
   const [templates, setTemplates] = useState([]);
 
+  /** 
+   * @state {Object|null} pendingTemplate - A template waiting for its `{{variable}}` values {tpl, variables}. 
+   */
+  const [pendingTemplate, setPendingTemplate] = useState(null);
+
+  /**
+   * @state {Object|null} pendingImport - A parsed template file waiting for conflict resolution {fileName, templates, rejected}. 
+   */
+  const [pendingImport, setPendingImport] = useState(null);
+
+  /**
+   * @state {number|null} loadedTemplateId - ID of the template the current workspace was loaded from, if any. 
+   */
+  const [loadedTemplateId, setLoadedTemplateId] = useState(null);
+
+  /**
+   * @state {number|null} historyTemplateId - ID of the template whose version history is open, if any. 
+   */
+  const [historyTemplateId, setHistoryTemplateId] = useState(null);
+
   /** 
    * @state {boolean} isSidebarOpen - Boolean flag to toggle the visibility of the template sidebar. 
    */
   const [isSidebarOpen, setIsSidebarOpen] = useState(false);
 
+  // Session Autosave State
+
+  /** 
+   * @state {number} sessionId - Identifies the current session among the recent drafts. 
+   */
+  const [sessionId, setSessionId] = useState(() => Date.now());
+
+  /** 
+   * @state {Object|null} resumeSession - The autosaved session found on start, until it is resumed or discarded. 
+   */
+  const [resumeSession, setResumeSession] = useState(loadSession);
+
+  /** 
+   * @state {Array<Object>} drafts - Recent unfinished sessions, newest first. 
+   */
+  const [drafts, setDrafts] = useState(listDrafts);
+
+  // Generation History State
+
+  /** 
+   * @state {Array<Object>} history - Automatically recorded generations, newest first. 
+   */
+  const [history, setHistory] = useState(listHistory);
+
+  /** 
+   * @state {boolean} isHistoryOpen - Whether the generation history panel is shown. 
+   */
+  const [isHistoryOpen, setIsHistoryOpen] = useState(false);
+
   // =========================================================================================
   // 🛁 Bubble Visual Engine
   // =========================================================================================
@@ -185,31 +352,204 @@ const App = () => {
 
   /**
    * Effect Hook: Load Templates.
-   * Retrieves saved prompt templates from Local Storage on application start.
+   * Retrieves saved prompt templates from the template store on application start.
    */
   useEffect(() => {
-    const saved = localStorage.getItem('bubble_templates');
-    if (saved) setTemplates(JSON.parse(saved));
+    listTemplates()
+      .then(setTemplates)
+      .catch(err => window.alert(`读取泡泡盒子失败：${err.message}`));
   }, []);
 
+  /**
+   * The current session as autosaved (see `utils/sessionDrafts.js`).
+   * The result is only kept on the result step, where it can't be recomposed from the inputs; it is
+   * saved with the edits made in the result view (the prompt text only when it was free-edited).
+   */
+  const session = {
+    id: sessionId,
+    step,
+    wizardIndex,
+    taskInput,
+    taskType,
+    answers,
+    selectedStyles,
+    selectedIndustries,
+    selectedTone,
+    persona,
+    customConstraints,
+    disabledPresetConstraints,
+    outputFormat,
+    promptLocale,
+    tokenSettings,
+    loadedTemplateId,
+    resultSpec: step === 'result' ? resultEdits?.spec || resultSpec : null,
+    generatedPrompt: step === 'result' ? (resultEdits ? resultEdits.text || '' : generatedPrompt) : ''
+  };
+  const sessionJson = JSON.stringify(session);
+
+  /**
+   * Effect Hook: Autosave Session.
+   * Writes the session shortly after it changes. While the resume banner is shown, the session
+   * found on start is kept untouched.
+   */
+  useEffect(() => {
+    if (resumeSession) return undefined;
+    const timer = setTimeout(() => saveSession(JSON.parse(sessionJson)), 500);
+    return () => clearTimeout(timer);
+  }, [sessionJson, resumeSession]);
+
   // =========================================================================================
   // Event Handlers
   // =========================================================================================
 
+  /**
+   * Moves the current session to the recent drafts if it got past the task description,
+   * and starts a new session. A session still waiting to be resumed is kept as a draft too.
+   * The autosave is cleared until the new session is written, so a reload doesn't offer the draft again.
+   */
+  const archiveSession = () => {
+    if (resumeSession) {
+      setDrafts(pushDraft(resumeSession));
+      setResumeSession(null);
+    }
+    if (Object.keys(answers).length > 0 || session.resultSpec) setDrafts(pushDraft(session));
+    clearSession();
+    setSessionId(Date.now());
+  };
+
+  /**
+   * Restores an autosaved session at the step and question where it stopped.
+   * 
+   * @param {Object} saved - The session (see `utils/sessionDrafts.js`).
+   */
+  const restoreSession = (saved) => {
+    const type = saved.taskType || 'General';
+    setSessionId(saved.id);
+    setTaskInput(saved.taskInput);
+    setClassification(analyzeTask(saved.taskInput));
+    setTaskType(type);
+    setQuestions(planQuestions(type));
+    setAnswers(saved.answers || {});
+    setWizardIndex(saved.wizardIndex || 0);
+    setSelectedStyles(saved.selectedStyles || []);
+    setSelectedIndustries(saved.selectedIndustries || []);
+    setSelectedTone(saved.selectedTone || '');
+    setPersona(saved.persona || EMPTY_PERSONA);
+    setCustomConstraints(saved.customConstraints || []);
+    setDisabledPresetConstraints(saved.disabledPresetConstraints || []);
+    const format = saved.outputFormat || 'markdown';
+    const settings = saved.tokenSettings || { profile: DEFAULT_TOKENIZER, budget: 0 };
+    setOutputFormat(format);
+    setPromptLocale(saved.promptLocale || DEFAULT_LOCALE);
+    setTokenSettings(settings);
+    setLoadedTemplateId(saved.loadedTemplateId ?? null);
+    if (saved.step === 'result') {
+      if (saved.resultSpec) showResult(saved.resultSpec, saved.generatedPrompt || renderSpec(saved.resultSpec, format, settings));
+      setStep(saved.resultSpec ? 'result' : 'tagging');
+    } else {
+      setStep(saved.step);
+    }
+  };
+
+  /**
+   * Continues the session found on start.
+   */
+  const handleResume = () => {
+    restoreSession(resumeSession);
+    setResumeSession(null);
+  };
+
+  /**
+   * Starts fresh instead of continuing the session found on start; that session is kept as a draft.
+   */
+  const handleDiscardResume = () => {
+    setDrafts(pushDraft(resumeSession));
+    clearSession();
+    setResumeSession(null);
+  };
+
+  /**
+   * Continues a recent draft. The current session becomes a draft in its place.
+   * 
+   * @param {Object} draft - The draft to continue.
+   */
+  const handleResumeDraft = (draft) => {
+    archiveSession();
+    setDrafts(removeDraft(draft.id));
+    restoreSession(draft);
+  };
+
   /**
    * Updates state when the user starts the prompt creation process.
-   * Analyzes the initial input to determine task type and recommended questions.
+   * Analyzes the initial input to determine task type and recommended questions,
+   * then asks the user to confirm the detected type.
    * 
    * @param {string} input - The raw user input string.
    */
   const handleStart = (input) => {
+    archiveSession();
     const analysis = analyzeTask(input);
     setTaskInput(input);
+    setClassification(analysis);
     setTaskType(analysis.type);
     setQuestions(analysis.recommendedQuestions);
+    setAnswers({});
+    setCustomConstraints([]);
+    setDisabledPresetConstraints([]);
+    setLoadedTemplateId(null);
+    setStep('confirm');
+  };
+
+  /**
+   * Overrides the detected task type and reloads the matching question set.
+   * 
+   * @param {string} type - The task type chosen by the user.
+   */
+  const handleTaskTypeChange = (type) => {
+    setTaskType(type);
+    setQuestions(planQuestions(type));
+  };
+
+  /**
+   * Opens the wizard, either at its first question or at its review screen.
+   * 
+   * @param {boolean} [review=false] - Whether to open the review screen (used when coming back from a later step).
+   */
+  const openWizard = (review = false) => {
+    setWizardIndex(review ? questions.length : 0);
+    setStep('wizard');
+  };
+
+  /**
+   * Goes back to an earlier step to fix something found on the result step.
+   * Wizard targets open at the given question if it is asked, otherwise at the review screen.
+   * 
+   * @param {Object} target - Where to go.
+   * @param {string} target.step - The step ('input', 'wizard' or 'tagging').
+   * @param {string} [target.questionId] - The question to open in the wizard.
+   */
+  const handleJump = ({ step: target, questionId }) => {
+    if (target !== 'wizard') {
+      setStep(target);
+      return;
+    }
+    const index = visibleQuestions(questions, { answers, taskType }).findIndex(q => q.id === questionId);
+    setWizardIndex(index === -1 ? questions.length : index);
     setStep('wizard');
   };
 
+  /**
+   * Keeps the wizard position and the answers given so far, so they are autosaved.
+   * 
+   * @param {Object} progress - The wizard progress.
+   * @param {number} progress.index - The current question index (`questions.length` on the review screen).
+   * @param {Object} progress.answers - The answers given so far.
+   */
+  const handleWizardProgress = useCallback(({ index, answers: progressAnswers }) => {
+    setWizardIndex(index);
+    setAnswers(progressAnswers);
+  }, []);
+
   /**
    * Handles the completion of the Wizard step.
    * Collects all answers and advances to the tagging step.
@@ -218,90 +558,389 @@ const App = () => {
    */
   const handleWizardComplete = (collectedAnswers) => {
     setAnswers(collectedAnswers);
+    // The free-text constraints answer seeds the constraint editor
+    const askedConstraint = (collectedAnswers.q_constraints || '').trim();
+    if (askedConstraint) {
+      setCustomConstraints(p => p.includes(askedConstraint) ? p : [...p, askedConstraint]);
+    }
     setStep('tagging');
   };
 
   /**
-   * Generates the final prompt based on all collected data.
-   * Uses the CoStarBuilder engine to construct the structured prompt.
+   * Collects the current session's inputs for the prompt composer.
+   * 
+   * @returns {Object} The inputs expected by `composePrompt`.
+   */
+  const collectInputs = () => ({
+    taskInput,
+    taskType,
+    answers,
+    questions,
+    selectedStyles,
+    selectedIndustries,
+    selectedTone,
+    persona,
+    customConstraints,
+    disabledPresetConstraints
+  });
+
+  /**
+   * Renders a prompt spec the way the result view does: in the chosen format, fitted to the token budget.
+   * 
+   * @param {Object} spec - The prompt spec to render.
+   * @param {string} [format] - The output format; defaults to the chosen one.
+   * @param {Object} [settings] - The tokenizer profile and budget {profile, budget}; default to the chosen ones.
+   * @returns {string} The prompt text.
+   */
+  const renderSpec = (spec, format = outputFormat, { profile, budget } = tokenSettings) => (
+    CoStarBuilder.fromSpec(spec).build({ format, budget, profile })
+  );
+
+  /**
+   * Shows a prompt spec in the result view.
+   * 
+   * @param {Object} spec - The prompt spec to edit and render.
+   * @param {string} [text] - The prompt text to show; defaults to the rendered spec.
+   */
+  const showResult = (spec, text = renderSpec(spec)) => {
+    setResultSpec(spec);
+    setGeneratedPrompt(text);
+    setResultEdits(null);
+    setResultRevision(r => r + 1);
+  };
+
+  /**
+   * Generates the final prompt, records it in the generation history and advances to the result step.
    */
   const handleGenerate = () => {
-    const builder = new CoStarBuilder();
-    builder.setObjective(taskInput);
-    builder.setContext(selectedIndustries[0] || '通用');
-    builder.setUserInputs(answers);
+    const spec = composePrompt(collectInputs(), { locale: promptLocale }).toSpec();
+    const text = renderSpec(spec);
+    showResult(spec, text);
+    setHistory(recordGeneration(collectTemplateContent(text, spec)));
+    setStep('result');
+  };
+
+  /**
+   * Regenerates the prompt from the collected inputs in another language.
+   * Edits made in the result view are dropped (the result view confirms this first).
+   * 
+   * @param {string} locale - The prompt locale to switch to.
+   */
+  const handleLocaleChange = (locale) => {
+    setPromptLocale(locale);
+    showResult(composePrompt(collectInputs(), { locale }).toSpec());
+  };
 
-    selectedStyles.forEach(s => builder.addStyle(s));
+  /**
+   * Toggles a tag. Tone is a single choice; styles and industries allow several.
+   * 
+   * @param {string} type - The tag type ('style', 'tone', 'industry').
+   * @param {string} tag - The tag to toggle.
+   */
+  const toggleTag = (type, tag) => {
+    const toggle = p => p.includes(tag) ? p.filter(x => x !== tag) : [...p, tag];
+    if (type === 'tone') setSelectedTone(p => p === tag ? '' : tag);
+    if (type === 'style') setSelectedStyles(toggle);
+    if (type === 'industry') setSelectedIndustries(toggle);
+  };
 
-    // Apply Presets based on identified task type
-    if (taskType === 'Coding') PromptPresets.coding(builder);
-    if (taskType === 'MarketingCopy') PromptPresets.marketing(builder);
+  /**
+   * Replaces the user-defined tags and persists them to Local Storage.
+   * 
+   * @param {Object} next - Custom tags keyed by type.
+   */
+  const saveCustomTags = (next) => {
+    setCustomTags(next);
+    localStorage.setItem(CUSTOM_TAGS_KEY, JSON.stringify(next));
+  };
 
-    if (!builder.responseFormat) builder.setResponseFormat("Markdown 结构化格式");
+  /**
+   * Adds a user-defined tag and selects it.
+   * 
+   * @param {string} type - The tag type.
+   * @param {string} tag - The new tag.
+   */
+  const handleAddCustomTag = (type, tag) => {
+    if (customTags[type].includes(tag)) return;
+    saveCustomTags({ ...customTags, [type]: [...customTags[type], tag] });
+    toggleTag(type, tag);
+  };
 
-    const prompt = builder.build();
-    setGeneratedPrompt(prompt);
-    setStep('result');
+  /**
+   * Deletes a user-defined tag and deselects it.
+   * 
+   * @param {string} type - The tag type.
+   * @param {string} tag - The tag to delete.
+   */
+  const handleRemoveCustomTag = (type, tag) => {
+    saveCustomTags({ ...customTags, [type]: customTags[type].filter(t => t !== tag) });
+    if (type === 'tone') setSelectedTone(p => p === tag ? '' : p);
+    if (type === 'style') setSelectedStyles(p => p.filter(t => t !== tag));
+    if (type === 'industry') setSelectedIndustries(p => p.filter(t => t !== tag));
   };
 
+  /**
+   * Stores new or changed templates and updates the Bubble Box.
+   * New templates are listed first; changed ones keep their place.
+   * 
+   * @param {Array<Object>} changed - The new or changed templates.
+   */
+  const saveTemplates = (changed) => {
+    setTemplates(prev => [
+      ...changed.filter(t => !prev.some(p => p.id === t.id)),
+      ...prev.map(p => changed.find(t => t.id === p.id) || p)
+    ]);
+    putTemplates(changed).catch(err => window.alert(`保存失败：${err.message}`));
+  };
+
+  /**
+   * Changes one saved template.
+   * 
+   * @param {number} id - The ID of the template.
+   * @param {Function} update - Returns the changed template. format: (template) => template
+   */
+  const updateTemplate = (id, update) => {
+    const tpl = templates.find(t => t.id === id);
+    if (tpl) saveTemplates([update(tpl)]);
+  };
+
+  /**
+   * Collects the workspace state stored in a template (one version of it).
+   * 
+   * @param {string} promptText - The prompt text.
+   * @param {Object} spec - The edited prompt spec.
+   * @returns {Object} The versioned template fields.
+   */
+  const collectTemplateContent = (promptText, spec) => ({
+    taskInput,
+    taskType,
+    answers,
+    selectedStyles,
+    selectedIndustries,
+    selectedTone,
+    persona,
+    customConstraints,
+    disabledPresetConstraints,
+    // The custom tags in use travel with the template, so it also works on other devices
+    customTags: {
+      style: selectedStyles.filter(t => customTags.style.includes(t)),
+      tone: customTags.tone.filter(t => t === selectedTone),
+      industry: selectedIndustries.filter(t => customTags.industry.includes(t))
+    },
+    outputFormat,
+    promptLocale,
+    generatedPrompt: promptText,
+    spec,
+    tags: [...selectedStyles, ...selectedIndustries]
+  });
+
   /**
    * Saves the currently generated prompt as a template.
-   * Prompts the user for a name and persists the template to Local Storage.
+   * Prompts the user for a name and persists the template to the template store.
+   * 
+   * @param {Object} result - The result as edited in the result view.
+   * @param {string} result.prompt - The prompt text.
+   * @param {Object} result.spec - The edited prompt spec.
    */
-  const handleSaveTemplate = () => {
-    const name = prompt('给这个泡泡起个名字 🫧', taskInput.substring(0, 10));
-    if (!name) return;
+  const handleSaveTemplate = ({ prompt: promptText, spec }) => {
+    const newTpl = createTemplate(collectTemplateContent(promptText, spec));
+    if (newTpl) setLoadedTemplateId(newTpl.id);
+  };
+
+  /**
+   * Asks for a name and saves new template content to the Bubble Box.
+   * 
+   * @param {Object} content - The versioned template fields (see `collectTemplateContent`).
+   * @returns {Object|null} The new template, or null if no name was given.
+   */
+  const createTemplate = (content) => {
+    const name = prompt('给这个泡泡起个名字 🫧', content.taskInput.substring(0, 10));
+    if (!name) return null;
 
     const newTpl = {
       id: Date.now(),
       name,
       date: new Date().toISOString(),
-      taskInput,
-      taskType,
-      answers,
-      selectedStyles,
-      selectedIndustries,
-      generatedPrompt,
-      tags: [...selectedStyles, ...selectedIndustries]
+      version: 1,
+      ...content
     };
 
-    const newTemplates = [newTpl, ...templates];
-    setTemplates(newTemplates);
-    localStorage.setItem('bubble_templates', JSON.stringify(newTemplates));
+    saveTemplates([newTpl]);
+    setIsSidebarOpen(true);
+    return newTpl;
+  };
+
+  /**
+   * Saves the current result as a new version of the loaded template.
+   * 
+   * @param {Object} result - The result as edited in the result view.
+   * @param {string} result.prompt - The prompt text.
+   * @param {Object} result.spec - The edited prompt spec.
+   */
+  const handleSaveVersion = ({ prompt: promptText, spec }) => {
+    updateTemplate(loadedTemplateId, t => addVersion(t, collectTemplateContent(promptText, spec)));
     setIsSidebarOpen(true);
   };
 
+  /**
+   * Restores an older version of the template whose history is open.
+   * 
+   * @param {number} version - The version number to restore.
+   */
+  const handleRestoreVersion = (version) => {
+    updateTemplate(historyTemplateId, t => restoreVersion(t, version));
+  };
+
   /**
    * Deletes a saved template by ID.
-   * Updates local state and Local Storage.
+   * Updates local state and the template store.
    * 
    * @param {number} id - The ID of the template to delete.
    */
   const handleDeleteTemplate = (id) => {
-    const newTemplates = templates.filter(t => t.id !== id);
-    setTemplates(newTemplates);
-    localStorage.setItem('bubble_templates', JSON.stringify(newTemplates));
+    setTemplates(prev => prev.filter(t => t.id !== id));
+    deleteTemplate(id).catch(err => window.alert(`删除失败：${err.message}`));
   };
 
   /**
-   * Loads a saved template into the active workspace.
+   * Pins a template to the top of the Bubble Box, or unpins it.
+   * 
+   * @param {number} id - The ID of the template.
+   */
+  const handleToggleFavorite = (id) => {
+    updateTemplate(id, t => ({ ...t, favorite: !t.favorite }));
+  };
+
+  /**
+   * Reads and validates a template file, then asks how to resolve conflicts before importing.
+   * 
+   * @param {File} file - The chosen JSON file.
+   */
+  const handleImportFile = async (file) => {
+    try {
+      const { templates: imported, rejected } = parseTemplateFile(await file.text());
+      setPendingImport({ fileName: file.name, templates: imported, rejected });
+    } catch (err) {
+      window.alert(`导入失败：${err.message}`);
+    }
+  };
+
+  /**
+   * Merges the pending import into the saved templates.
+   * 
+   * @param {Object} resolutions - The conflict resolution per imported template index.
+   */
+  const handleImportConfirm = (resolutions) => {
+    const { templates: newTemplates, added, overwritten, skipped } = mergeTemplates(templates, pendingImport.templates, resolutions);
+    saveTemplates(newTemplates.filter(t => !templates.includes(t)));
+    setPendingImport(null);
+    window.alert(`导入完成：新增 ${added} 个，覆盖 ${overwritten} 个，跳过 ${skipped} 个。`);
+  };
+
+  /**
+   * Loads a saved prompt (template or history entry) into the active workspace and shows its result.
    * Restores all relevant state variables (input, answers, styles, etc.).
    * 
-   * @param {Object} tpl - The template object to load.
+   * @param {Object} tpl - The saved prompt with its inputs.
    */
-  const handleLoadTemplate = (tpl) => {
+  const restoreWorkspace = (tpl) => {
+    archiveSession();
+    setLoadedTemplateId(null);
     setTaskInput(tpl.taskInput);
+    setClassification(analyzeTask(tpl.taskInput));
+    setTaskType(tpl.taskType || 'General');
+    setQuestions(planQuestions(tpl.taskType || 'General'));
     setAnswers(tpl.answers);
     setSelectedStyles(tpl.selectedStyles);
     setSelectedIndustries(tpl.selectedIndustries);
-    setGeneratedPrompt(tpl.generatedPrompt);
+    setSelectedTone(tpl.selectedTone || '');
+    if (tpl.customTags) {
+      // Make the template's custom tags available (and deletable) again
+      const merged = { ...customTags };
+      Object.keys(EMPTY_CUSTOM_TAGS).forEach(type => {
+        const known = [...(builtInTags[type] || []), ...merged[type]];
+        merged[type] = [...merged[type], ...(tpl.customTags[type] || []).filter(t => !known.includes(t))];
+      });
+      saveCustomTags(merged);
+    }
+    setPersona(tpl.persona || EMPTY_PERSONA);
+    setCustomConstraints(tpl.customConstraints || []);
+    setDisabledPresetConstraints(tpl.disabledPresetConstraints || []);
+    setOutputFormat(tpl.outputFormat || 'markdown');
+    setPromptLocale(tpl.promptLocale || DEFAULT_LOCALE);
+    // Templates saved before specs existed are recomposed from their inputs
+    const spec = tpl.spec || composePrompt(
+      { ...tpl, persona: tpl.persona || EMPTY_PERSONA },
+      { locale: tpl.promptLocale || DEFAULT_LOCALE }
+    ).toSpec();
+    showResult(spec, tpl.generatedPrompt);
     setStep('result');
+  };
+
+  /**
+   * Loads a saved template into the active workspace and counts the use.
+   * 
+   * @param {Object} tpl - The template object to load.
+   */
+  const applyTemplate = (tpl) => {
+    restoreWorkspace(tpl);
+    updateTemplate(tpl.id, t => ({ ...t, useCount: (t.useCount || 0) + 1 }));
+    setLoadedTemplateId(tpl.id);
+    setIsSidebarOpen(false);
+  };
+
+  /**
+   * Opens a recorded generation in the result view.
+   * 
+   * @param {Object} entry - The history entry.
+   */
+  const handleReopenHistory = (entry) => {
+    restoreWorkspace(entry);
+    setIsHistoryOpen(false);
+  };
+
+  /**
+   * Saves a recorded generation as a new template.
+   * 
+   * @param {Object} entry - The history entry.
+   */
+  const handlePromoteHistory = (entry) => {
+    const { id: _id, date: _date, ...content } = entry;
+    if (createTemplate(content)) setIsHistoryOpen(false);
+  };
+
+  /**
+   * Loads a template, first asking for the values of its `{{variable}}` placeholders if it has any.
+   * 
+   * @param {Object} tpl - The template object to load.
+   */
+  const handleLoadTemplate = (tpl) => {
+    // Only the content holds placeholders; names, old versions and usage data are left alone
+    const variables = extractVariables(contentOf(tpl));
+    if (variables.length === 0) {
+      applyTemplate(tpl);
+      return;
+    }
+    setPendingTemplate({ tpl, variables });
     setIsSidebarOpen(false);
   };
 
-  // Predefined options for tags
-  const styleOptions = ['专业严谨', '幽默风趣', '温暖治愈', '简洁明了', '极客硬核', '逻辑缜密'];
-  const industryOptions = ['互联网', '教育', '金融', '电商', '医疗', '法律', '创意写作'];
+  /**
+   * Fills the pending template's placeholders with the entered values and loads it.
+   * The filled-in workspace is not linked to the template, so saving a version can't
+   * overwrite its placeholders; it can still be saved as a new template.
+   * 
+   * @param {Object} values - The variable values keyed by name.
+   */
+  const handleVariablesSubmit = (values) => {
+    const { tpl } = pendingTemplate;
+    applyTemplate({ ...tpl, ...substituteVariables(contentOf(tpl), values) });
+    setLoadedTemplateId(null);
+    setPendingTemplate(null);
+  };
+
+  const loadedTemplate = templates.find(t => t.id === loadedTemplateId);
+  const historyTemplate = templates.find(t => t.id === historyTemplateId);
 
   return (
     <div className="kawaii-container">
@@ -356,26 +995,70 @@ const App = () => {
           )}
         </div>
 
-        {/* Sidebar Toggle Button */}
-        <button
-          onClick={() => setIsSidebarOpen(true)}
-          className="btn-ghost"
-        >
-          ☁️ 泡泡盒子 ({templates.length})
-        </button>
+        <div style={{ display: 'flex', gap: '10px' }}>
+          {/* History Toggle Button */}
+          <button
+            onClick={() => setIsHistoryOpen(true)}
+            className="btn-ghost"
+          >
+            🕘 历史 ({history.length})
+          </button>
+
+          {/* Sidebar Toggle Button */}
+          <button
+            onClick={() => setIsSidebarOpen(true)}
+            className="btn-ghost"
+          >
+            ☁️ 泡泡盒子 ({templates.length})
+          </button>
+        </div>
       </div>
 
       {/* Main Content Area (Glassmorphism Card) */}
       <div className="bubble-card pop-in" style={{ flex: 1, display: 'flex', flexDirection: 'column' }}>
 
+        {/* Offer to continue the session autosaved before a reload */}
+        {resumeSession && (
+          <ResumePrompt session={resumeSession} onResume={handleResume} onDiscard={handleDiscardResume} />
+        )}
+
         {/* Step 1: Initial Input */}
         {step === 'input' && (
-          <TaskInput onStart={handleStart} />
+          <>
+            <TaskInput onStart={handleStart} initialValue={taskInput} />
+            <DraftList
+              drafts={drafts.filter(d => d.id !== sessionId)}
+              onResume={handleResumeDraft}
+              onRemove={(id) => setDrafts(removeDraft(id))}
+            />
+          </>
+        )}
+
+        {/* Step 1.5: Task Type Confirmation */}
+        {step === 'confirm' && (
+          <TaskTypePicker
+            taskInput={taskInput}
+            classification={classification}
+            taskType={taskType}
+            taskTypes={listTaskTypes()}
+            questions={visibleQuestions(questions, { taskType })}
+            onChangeType={handleTaskTypeChange}
+            onConfirm={() => openWizard()}
+            onBack={() => setStep('input')}
+          />
         )}
 
         {/* Step 2: Questionnaire Wizard */}
         {step === 'wizard' && (
-          <Wizard questions={questions} onComplete={handleWizardComplete} />
+          <Wizard
+            questions={questions}
+            taskType={taskType}
+            initialAnswers={answers}
+            initialIndex={wizardIndex}
+            onComplete={handleWizardComplete}
+            onBack={() => setStep('confirm')}
+            onProgress={handleWizardProgress}
+          />
         )}
 
         {/* Step 3: Tag Selection */}
@@ -386,7 +1069,21 @@ const App = () => {
               type="style"
               options={styleOptions}
               selected={selectedStyles}
-              onToggle={(t) => setSelectedStyles(p => p.includes(t) ? p.filter(x => x !== t) : [...p, t])}
+              onToggle={(t) => toggleTag('style', t)}
+              customOptions={customTags.style}
+              onAddCustom={(t) => handleAddCustomTag('style', t)}
+              onRemoveCustom={(t) => handleRemoveCustomTag('style', t)}
+            />
+            <div style={{ margin: '30px 0' }} />
+            <h2 style={{ marginBottom: '30px', color: '#636E72' }}>选择 <span className="text-gradient">语气泡泡</span></h2>
+            <TagSelector
+              type="tone"
+              options={toneOptions}
+              selected={selectedTone ? [selectedTone] : []}
+              onToggle={(t) => toggleTag('tone', t)}
+              customOptions={customTags.tone}
+              onAddCustom={(t) => handleAddCustomTag('tone', t)}
+              onRemoveCustom={(t) => handleRemoveCustomTag('tone', t)}
             />
             <div style={{ margin: '30px 0' }} />
             <h2 style={{ marginBottom: '30px', color: '#636E72' }}>选择 <span className="text-gradient">行业领域</span></h2>
@@ -394,10 +1091,40 @@ const App = () => {
               type="industry"
               options={industryOptions}
               selected={selectedIndustries}
-              onToggle={(t) => setSelectedIndustries(p => p.includes(t) ? p.filter(x => x !== t) : [...p, t])}
+              onToggle={(t) => toggleTag('industry', t)}
+              customOptions={customTags.industry}
+              onAddCustom={(t) => handleAddCustomTag('industry', t)}
+              onRemoveCustom={(t) => handleRemoveCustomTag('industry', t)}
+            />
+            <div style={{ margin: '30px 0' }} />
+            <h2 style={{ marginBottom: '30px', color: '#636E72' }}>定制 <span className="text-gradient">角色背景</span></h2>
+            <PersonaEditor persona={persona} onChange={setPersona} />
+            <div style={{ margin: '30px 0' }} />
+            <h2 style={{ marginBottom: '30px', color: '#636E72' }}>设定 <span className="text-gradient">限制条件</span></h2>
+            <ConstraintEditor
+              presetConstraints={getPresetConstraints(taskType)}
+              disabledPresetConstraints={disabledPresetConstraints}
+              onTogglePreset={(c) => setDisabledPresetConstraints(p => p.includes(c) ? p.filter(x => x !== c) : [...p, c])}
+              constraints={customConstraints}
+              onChange={setCustomConstraints}
+              library={constraintLibrary}
             />
 
-            <div style={{ marginTop: '50px' }}>
+            <div style={{ marginTop: '50px', display: 'flex', justifyContent: 'center', gap: '15px' }}>
+              <button
+                onClick={() => openWizard(true)}
+                style={{
+                  padding: '10px 20px',
+                  borderRadius: '30px',
+                  border: 'none',
+                  background: 'transparent',
+                  color: '#b2bec3',
+                  cursor: 'pointer',
+                  fontWeight: 'bold'
+                }}
+              >
+                {'<- 修改回答'}
+              </button>
               <button
                 onClick={handleGenerate}
                 className="btn-bubble"
@@ -411,8 +1138,26 @@ const App = () => {
         {/* Step 4: Result Generation */}
         {step === 'result' && (
           <ResultGenerator
+            key={resultRevision}
+            spec={resultSpec}
             prompt={generatedPrompt}
+            format={outputFormat}
+            formats={OUTPUT_FORMATS}
+            onFormatChange={setOutputFormat}
+            locale={promptLocale}
+            locales={PROMPT_LOCALES}
+            onLocaleChange={handleLocaleChange}
+            tokenProfile={tokenSettings.profile}
+            tokenProfiles={TOKENIZER_PROFILES}
+            tokenBudget={tokenSettings.budget}
+            onTokenSettingsChange={setTokenSettings}
             onSave={handleSaveTemplate}
+            onSaveVersion={loadedTemplate ? handleSaveVersion : undefined}
+            versionOf={loadedTemplate && loadedTemplate.name}
+            missingInfo={findMissingEssentials(taskType, answers)}
+            onJump={handleJump}
+            onEdit={setResultEdits}
+            onBack={() => setStep('tagging')}
             onRestart={() => setStep('input')}
           />
         )}
@@ -426,7 +1171,52 @@ const App = () => {
         templates={templates}
         onLoad={handleLoadTemplate}
         onDelete={handleDeleteTemplate}
+        onToggleFavorite={handleToggleFavorite}
+        onShowHistory={(tpl) => setHistoryTemplateId(tpl.id)}
+        onExport={downloadTemplates}
+        onImport={handleImportFile}
       />
+
+      {historyTemplate && (
+        <VersionHistory
+          key={historyTemplate.id}
+          template={historyTemplate}
+          onRestore={handleRestoreVersion}
+          onClose={() => setHistoryTemplateId(null)}
+        />
+      )}
+
+      {isHistoryOpen && (
+        <HistoryPanel
+          entries={history}
+          onReopen={handleReopenHistory}
+          onPromote={handlePromoteHistory}
+          onRemove={(id) => setHistory(removeHistoryEntry(id))}
+          onClear={() => setHistory(clearHistory())}
+          onClose={() => setIsHistoryOpen(false)}
+        />
+      )}
+
+      {pendingImport && (
+        <ImportDialog
+          fileName={pendingImport.fileName}
+          templates={pendingImport.templates}
+          rejected={pendingImport.rejected}
+          existing={templates}
+          onConfirm={handleImportConfirm}
+          onCancel={() => setPendingImport(null)}
+        />
+      )}
+
+      {/* Template Variable Form */}
+      {pendingTemplate && (
+        <VariableForm
+          templateName={pendingTemplate.tpl.name}
+          variables={pendingTemplate.variables}
+          onSubmit={handleVariablesSubmit}
+          onCancel={() => setPendingTemplate(null)}
+        />
+      )}
     </div>
   );
 };
@@ -0,0 +1,151 @@
+import React, { useState } from 'react';
+
+/**
+ * @file ConstraintEditor.jsx
+ * @description Editor for the prompt's constraints ("⛔ 限制条件与质量控制").
+ * Lets the user switch preset-supplied constraints on or off, and add, edit, reorder
+ * and remove free-form rules, either typed in or picked from the constraint library.
+ *
+ * @module Components/ConstraintEditor
+ * @author Feng
+ * @date 2026-10-19
+ */
+
+/** Shared style for the small icon buttons on each rule row. */
+const iconButtonStyle = {
+    background: 'rgba(255,255,255,0.6)',
+    border: 'none',
+    borderRadius: '50%',
+    width: '30px',
+    height: '30px',
+    cursor: 'pointer',
+    color: '#636E72',
+    flexShrink: 0
+};
+
+/**
+ * ConstraintEditor Component.
+ *
+ * @component
+ * @param {Object} props - Component properties.
+ * @param {Array<string>} props.presetConstraints - Constraints supplied by the active task preset.
+ * @param {Array<string>} props.disabledPresetConstraints - Preset constraints the user switched off.
+ * @param {Function} props.onTogglePreset - Callback to switch a preset constraint on or off.
+ * format: (constraintString) => void
+ * @param {Array<string>} props.constraints - The user's own constraints, in prompt order.
+ * @param {Function} props.onChange - Callback with the updated list of user constraints.
+ * format: (constraintsArray) => void
+ * @param {Array<Object>} props.library - Common constraints {id, label, text} offered as quick picks.
+ *
+ * @returns {JSX.Element} The rendered ConstraintEditor component.
+ */
+const ConstraintEditor = ({ presetConstraints, disabledPresetConstraints, onTogglePreset, constraints, onChange, library }) => {
+    /**
+     * @state {string} draft - The rule currently being typed in the "add" field.
+     */
+    const [draft, setDraft] = useState('');
+
+    /**
+     * Appends a rule to the list, ignoring blanks and exact duplicates.
+     *
+     * @param {string} text - The rule to add.
+     */
+    const addConstraint = (text) => {
+        const rule = text.trim();
+        if (!rule || constraints.includes(rule)) return;
+        onChange([...constraints, rule]);
+    };
+
+    /**
+     * Handles the "add" form submission.
+     *
+     * @param {React.FormEvent} e - The form submission event.
+     */
+    const handleSubmit = (e) => {
+        e.preventDefault();
+        addConstraint(draft);
+        setDraft('');
+    };
+
+    /**
+     * Moves the rule at `index` by `offset` positions (-1 = up, 1 = down).
+     *
+     * @param {number} index - Position of the rule to move.
+     * @param {number} offset - Direction and distance to move.
+     */
+    const moveConstraint = (index, offset) => {
+        const target = index + offset;
+        if (target < 0 || target >= constraints.length) return;
+        const next = [...constraints];
+        [next[index], next[target]] = [next[target], next[index]];
+        onChange(next);
+    };
+
+    return (
+        <div className="pop-in" style={{ maxWidth: '700px', margin: '0 auto', display: 'flex', flexDirection: 'column', gap: '20px' }}>
+
+            {/* Preset Constraints (toggle on/off) */}
+            {presetConstraints.length > 0 && (
+                <div style={{ display: 'flex', flexWrap: 'wrap', gap: '10px', justifyContent: 'center' }}>
+                    {presetConstraints.map(c => (
+                        <button
+                            key={c}
+                            onClick={() => onTogglePreset(c)}
+                            className={`tag-chip ${disabledPresetConstraints.includes(c) ? '' : 'active'}`}
+                            title="预设规则，点击开关"
+                        >
+                            {c}
+                        </button>
+                    ))}
+                </div>
+            )}
+
+            {/* User Constraints (edit, reorder, remove) */}
+            {constraints.map((c, i) => (
+                <div key={i} style={{ display: 'flex', gap: '8px', alignItems: 'center' }}>
+                    <input
+                        type="text"
+                        value={c}
+                        onChange={(e) => onChange(constraints.map((x, j) => j === i ? e.target.value : x))}
+                        className="input-bubble"
+                        style={{ flex: 1, padding: '10px 15px', borderRadius: '20px', border: '1px solid white', background: 'rgba(255,255,255,0.7)', fontFamily: 'inherit', fontSize: '0.95rem' }}
+                    />
+                    <button onClick={() => moveConstraint(i, -1)} disabled={i === 0} style={iconButtonStyle} title="上移">↑</button>
+                    <button onClick={() => moveConstraint(i, 1)} disabled={i === constraints.length - 1} style={iconButtonStyle} title="下移">↓</button>
+                    <button onClick={() => onChange(constraints.filter((_, j) => j !== i))} style={{ ...iconButtonStyle, color: '#ff7675' }} title="删除">×</button>
+                </div>
+            ))}
+
+            {/* Add a Free-form Rule */}
+            <form onSubmit={handleSubmit} style={{ display: 'flex', gap: '8px' }}>
+                <input
+                    type="text"
+                    value={draft}
+                    onChange={(e) => setDraft(e.target.value)}
+                    placeholder="输入一条规则，例如：不要提及竞品名称"
+                    className="input-bubble"
+                    style={{ flex: 1, padding: '10px 15px', borderRadius: '20px', border: '1px solid white', background: 'rgba(255,255,255,0.7)', fontFamily: 'inherit', fontSize: '0.95rem' }}
+                />
+                <button type="submit" className="tag-chip">添加 +</button>
+            </form>
+
+            {/* Constraint Library Quick Picks */}
+            <div style={{ display: 'flex', flexWrap: 'wrap', gap: '10px', justifyContent: 'center' }}>
+                {library.map(item => (
+                    <button
+                        key={item.id}
+                        onClick={() => addConstraint(item.text)}
+                        className="tag-chip"
+                        title={item.text}
+                        disabled={constraints.includes(item.text)}
+                        style={{ opacity: constraints.includes(item.text) ? 0.5 : 1 }}
+                    >
+                        + {item.label}
+                    </button>
+                ))}
+            </div>
+        </div>
+    );
+};
+
+export default ConstraintEditor;
@@ -0,0 +1,69 @@
+import React from 'react';
+import { describeProgress } from '../utils/sessionDrafts';
+
+/**
+ * @file DraftList.jsx
+ * @description Short list of recent unfinished prompts (autosaved sessions, see `utils/sessionDrafts.js`),
+ * shown on the input step. Drafts are separate from the templates in the Bubble Box.
+ *
+ * @module Components/DraftList
+ * @author Feng
+ * @date 2026-10-19
+ */
+
+/**
+ * DraftList Component.
+ *
+ * @component
+ * @param {Object} props - Component properties.
+ * @param {Array<Object>} props.drafts - The recent drafts, newest first.
+ * @param {Function} props.onResume - Callback to continue a draft where it stopped.
+ * format: (draft) => void
+ * @param {Function} props.onRemove - Callback to discard a draft.
+ * format: (id) => void
+ *
+ * @returns {JSX.Element|null} The rendered DraftList component, or null without drafts.
+ */
+const DraftList = ({ drafts, onResume, onRemove }) => {
+    if (drafts.length === 0) return null;
+
+    return (
+        <div style={{ marginTop: '30px' }}>
+            <h4 style={{ margin: '0 0 10px', color: '#636E72' }}>📝 最近的草稿</h4>
+            <ul style={{ listStyle: 'none', margin: 0, padding: 0, display: 'flex', flexDirection: 'column', gap: '8px' }}>
+                {drafts.map(draft => (
+                    <li
+                        key={draft.id}
+                        onClick={() => onResume(draft)}
+                        style={{
+                            display: 'flex',
+                            alignItems: 'center',
+                            gap: '10px',
+                            padding: '10px 15px',
+                            borderRadius: '15px',
+                            background: 'rgba(255,255,255,0.7)',
+                            cursor: 'pointer'
+                        }}
+                    >
+                        <span style={{ flex: 1, color: '#2D3436', overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>
+                            {draft.taskInput}
+                        </span>
+                        <span style={{ color: '#6C5CE7', fontSize: '0.8rem', whiteSpace: 'nowrap' }}>{describeProgress(draft)}</span>
+                        <span style={{ color: '#b2bec3', fontSize: '0.8rem', whiteSpace: 'nowrap' }}>
+                            {new Date(draft.updatedAt).toLocaleString()}
+                        </span>
+                        <span
+                            title="删除草稿"
+                            onClick={(e) => { e.stopPropagation(); onRemove(draft.id); }}
+                            style={{ color: '#ff7675', cursor: 'pointer' }}
+                        >
+                            ×
+                        </span>
+                    </li>
+                ))}
+            </ul>
+        </div>
+    );
+};
+
+export default DraftList;
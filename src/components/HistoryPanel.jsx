@@ -0,0 +1,158 @@
+import React, { useState } from 'react';
+import PromptDiff from './PromptDiff';
+import { getTaskType } from '../utils/taskClassifier';
+import { MAX_HISTORY } from '../utils/generationHistory';
+
+/**
+ * @file HistoryPanel.jsx
+ * @description Modal listing the automatically recorded generations (see `utils/generationHistory.js`).
+ * Each entry can be reopened in the result view, promoted to a template or removed; picking two
+ * entries compares them (see `PromptDiff.jsx`).
+ *
+ * @module Components/HistoryPanel
+ * @author Feng
+ * @date 2026-10-19
+ */
+
+/**
+ * HistoryPanel Component.
+ *
+ * @component
+ * @param {Object} props - Component properties.
+ * @param {Array<Object>} props.entries - The recorded generations, newest first.
+ * @param {Function} props.onReopen - Callback to open an entry in the result view.
+ * format: (entry) => void
+ * @param {Function} props.onPromote - Callback to save an entry as a template.
+ * format: (entry) => void
+ * @param {Function} props.onRemove - Callback to remove an entry.
+ * format: (id) => void
+ * @param {Function} props.onClear - Callback to remove all entries.
+ * @param {Function} props.onClose - Callback to close the panel.
+ *
+ * @returns {JSX.Element} The rendered HistoryPanel component.
+ */
+const HistoryPanel = ({ entries, onReopen, onPromote, onRemove, onClear, onClose }) => {
+    /**
+     * @state {Array<number>} compareIds - The entries picked for comparison (at most two).
+     */
+    const [compareIds, setCompareIds] = useState([]);
+
+    // Removed entries drop out of the comparison; the older pick is shown as "before"
+    const compared = entries.filter(e => compareIds.includes(e.id)).reverse();
+
+    /**
+     * Picks an entry for comparison or unpicks it. A third pick replaces the earlier of the two.
+     *
+     * @param {number} id - The entry id.
+     */
+    const toggleCompare = (id) => {
+        const picked = compareIds.filter(c => entries.some(e => e.id === c));
+        setCompareIds(picked.includes(id) ? picked.filter(c => c !== id) : [...picked, id].slice(-2));
+    };
+
+    const actionStyle = { background: 'transparent', border: 'none', color: '#6C5CE7', cursor: 'pointer', fontWeight: 'bold', whiteSpace: 'nowrap' };
+
+    return (
+        <div
+            onClick={onClose}
+            style={{
+                position: 'fixed',
+                inset: 0,
+                background: 'rgba(45, 52, 54, 0.3)',
+                display: 'flex',
+                alignItems: 'center',
+                justifyContent: 'center',
+                zIndex: 1100
+            }}
+        >
+            <div
+                className="pop-in"
+                onClick={(e) => e.stopPropagation()} // Clicks inside the card don't close it
+                style={{
+                    background: 'white',
+                    borderRadius: '30px',
+                    padding: '30px',
+                    width: 'min(760px, 92vw)',
+                    maxHeight: '85vh',
+                    overflowY: 'auto',
+                    boxShadow: '0 20px 50px rgba(0,0,0,0.15)'
+                }}
+            >
+                <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '5px' }}>
+                    <h3 style={{ margin: 0, color: '#6C5CE7' }}>🕘 生成历史</h3>
+                    <button
+                        onClick={onClose}
+                        style={{ background: 'transparent', border: 'none', color: '#b2bec3', cursor: 'pointer', fontSize: '1.2rem' }}
+                    >
+                        ×
+                    </button>
+                </div>
+                <p style={{ margin: '0 0 15px', color: '#636E72', fontSize: '0.85rem' }}>
+                    每次生成都会自动记录，最多保留最近 {MAX_HISTORY} 条。勾选两条即可对比。
+                    {entries.length > 0 && (
+                        <button
+                            onClick={() => window.confirm('确定清空全部生成历史吗？') && onClear()}
+                            style={{ ...actionStyle, color: '#ff7675', marginLeft: '8px' }}
+                        >
+                            清空
+                        </button>
+                    )}
+                </p>
+
+                {entries.length === 0 ? (
+                    <div style={{ textAlign: 'center', margin: '40px 0', color: '#b2bec3' }}>
+                        <div style={{ fontSize: '3rem', marginBottom: '10px' }}>🕘</div>
+                        还没有生成记录
+                    </div>
+                ) : (
+                    <ul style={{ listStyle: 'none', margin: 0, padding: 0, display: 'flex', flexDirection: 'column', gap: '6px' }}>
+                        {entries.map(entry => (
+                            <li
+                                key={entry.id}
+                                style={{
+                                    display: 'flex',
+                                    alignItems: 'center',
+                                    gap: '10px',
+                                    padding: '8px 12px',
+                                    borderRadius: '15px',
+                                    fontSize: '0.9rem',
+                                    background: compareIds.includes(entry.id) ? '#f1f0ff' : '#f8f9fa'
+                                }}
+                            >
+                                <input
+                                    type="checkbox"
+                                    title="选中对比"
+                                    checked={compareIds.includes(entry.id)}
+                                    onChange={() => toggleCompare(entry.id)}
+                                />
+                                <span style={{ flex: 1, minWidth: 0 }}>
+                                    <span style={{ display: 'block', color: '#2D3436', overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>
+                                        {entry.taskInput}
+                                    </span>
+                                    <span style={{ color: '#b2bec3', fontSize: '0.8rem' }}>
+                                        {new Date(entry.date).toLocaleString()} · {getTaskType(entry.taskType)?.label || entry.taskType}
+                                    </span>
+                                </span>
+                                <button onClick={() => onReopen(entry)} style={actionStyle}>打开</button>
+                                <button onClick={() => onPromote(entry)} style={actionStyle}>存为模板</button>
+                                <button onClick={() => onRemove(entry.id)} style={{ ...actionStyle, color: '#ff7675' }}>×</button>
+                            </li>
+                        ))}
+                    </ul>
+                )}
+
+                {/* Comparison of the two picked entries */}
+                {compared.length === 2 && (
+                    <div style={{ marginTop: '20px' }}>
+                        <div style={{ color: '#636E72', fontSize: '0.85rem' }}>
+                            对比 {new Date(compared[0].date).toLocaleString()} → {new Date(compared[1].date).toLocaleString()}
+                        </div>
+                        <PromptDiff before={compared[0]} after={compared[1]} />
+                    </div>
+                )}
+            </div>
+        </div>
+    );
+};
+
+export default HistoryPanel;
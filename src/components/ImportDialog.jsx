@@ -0,0 +1,177 @@
+import React, { useState } from 'react';
+import { CONFLICT_RESOLUTIONS, findConflict } from '../utils/templateTransfer';
+
+/**
+ * @file ImportDialog.jsx
+ * @description Modal dialog shown before imported templates are added to the Bubble Box.
+ * Lists the templates of the file, lets the user choose per conflicting template whether to rename,
+ * overwrite or skip it, and reports templates the file contained but that failed validation.
+ *
+ * @module Components/ImportDialog
+ * @author Feng
+ * @date 2026-10-19
+ */
+
+/**
+ * ImportDialog Component.
+ *
+ * @component
+ * @param {Object} props - Component properties.
+ * @param {string} props.fileName - The name of the imported file.
+ * @param {Array<Object>} props.templates - The valid templates read from the file.
+ * @param {Array<Object>} props.rejected - Invalid entries {index, name, reason}.
+ * @param {Array<Object>} props.existing - The saved templates, to detect conflicts.
+ * @param {Function} props.onConfirm - Callback with the chosen resolution per template index.
+ * format: (resolutionsMap) => void
+ * @param {Function} props.onCancel - Callback to cancel the import.
+ *
+ * @returns {JSX.Element} The rendered ImportDialog component.
+ */
+const ImportDialog = ({ fileName, templates, rejected, existing, onConfirm, onCancel }) => {
+    const conflicts = templates.map(tpl => findConflict(existing, tpl));
+    const conflictCount = conflicts.filter(Boolean).length;
+
+    /**
+     * @state {Object} resolutions - The chosen resolution per conflicting template index.
+     */
+    const [resolutions, setResolutions] = useState({});
+
+    /**
+     * Applies one resolution to every conflicting template.
+     *
+     * @param {string} resolution - The resolution id.
+     */
+    const resolveAll = (resolution) => {
+        setResolutions(Object.fromEntries(
+            conflicts.flatMap((conflict, index) => (conflict ? [[index, resolution]] : []))
+        ));
+    };
+
+    return (
+        <div
+            onClick={onCancel}
+            style={{
+                position: 'fixed',
+                inset: 0,
+                background: 'rgba(45, 52, 54, 0.3)',
+                display: 'flex',
+                alignItems: 'center',
+                justifyContent: 'center',
+                zIndex: 1100
+            }}
+        >
+            <div
+                className="pop-in"
+                onClick={(e) => e.stopPropagation()} // Clicks inside the card don't close it
+                style={{
+                    background: 'white',
+                    borderRadius: '30px',
+                    padding: '30px',
+                    width: 'min(520px, 90vw)',
+                    maxHeight: '80vh',
+                    overflowY: 'auto',
+                    boxShadow: '0 20px 50px rgba(0,0,0,0.15)'
+                }}
+            >
+                <h3 style={{ margin: '0 0 5px', color: '#6C5CE7' }}>导入模板 📥</h3>
+                <p style={{ margin: '0 0 15px', color: '#636E72', fontSize: '0.9rem' }}>
+                    「{fileName}」中有 {templates.length} 个模板
+                    {conflictCount > 0 && `，其中 ${conflictCount} 个与已有模板同名或重复`}。
+                </p>
+
+                {/* Bulk resolution for all conflicts */}
+                {conflictCount > 1 && (
+                    <div style={{ display: 'flex', alignItems: 'center', gap: '8px', marginBottom: '15px', fontSize: '0.85rem', color: '#636E72' }}>
+                        全部：
+                        {CONFLICT_RESOLUTIONS.map(r => (
+                            <button
+                                key={r.id}
+                                onClick={() => resolveAll(r.id)}
+                                style={{
+                                    background: '#f1f2f6',
+                                    border: 'none',
+                                    borderRadius: '15px',
+                                    padding: '4px 12px',
+                                    color: '#6C5CE7',
+                                    cursor: 'pointer',
+                                    fontWeight: 'bold'
+                                }}
+                            >
+                                {r.label}
+                            </button>
+                        ))}
+                    </div>
+                )}
+
+                {/* Template List */}
+                <ul style={{ listStyle: 'none', margin: 0, padding: 0, display: 'flex', flexDirection: 'column', gap: '8px' }}>
+                    {templates.map((tpl, index) => (
+                        <li
+                            key={index}
+                            style={{
+                                display: 'flex',
+                                alignItems: 'center',
+                                gap: '10px',
+                                padding: '10px 15px',
+                                borderRadius: '15px',
+                                background: conflicts[index] ? '#fff5f0' : '#f8f9fa'
+                            }}
+                        >
+                            <span style={{ flex: 1, color: '#2D3436', fontWeight: 'bold', overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>
+                                {tpl.name}
+                            </span>
+                            {conflicts[index] ? (
+                                <select
+                                    value={resolutions[index] || 'rename'}
+                                    onChange={(e) => setResolutions({ ...resolutions, [index]: e.target.value })}
+                                    style={{ borderRadius: '10px', border: '1px solid #dfe6e9', padding: '4px 8px', fontFamily: 'inherit' }}
+                                >
+                                    {CONFLICT_RESOLUTIONS.map(r => <option key={r.id} value={r.id}>{r.label}</option>)}
+                                </select>
+                            ) : (
+                                <span style={{ color: '#00b894', fontSize: '0.85rem' }}>新模板</span>
+                            )}
+                        </li>
+                    ))}
+                </ul>
+
+                {/* Entries that failed validation */}
+                {rejected.length > 0 && (
+                    <div style={{ marginTop: '15px', color: '#d63031', fontSize: '0.85rem' }}>
+                        以下 {rejected.length} 项格式不正确，将被忽略：
+                        <ul style={{ margin: '5px 0 0', paddingLeft: '20px' }}>
+                            {rejected.map(r => (
+                                <li key={r.index}>{r.name || `第 ${r.index + 1} 项`}：{r.reason}</li>
+                            ))}
+                        </ul>
+                    </div>
+                )}
+
+                <div style={{ display: 'flex', justifyContent: 'flex-end', gap: '10px', marginTop: '20px' }}>
+                    <button
+                        onClick={onCancel}
+                        style={{
+                            background: 'transparent',
+                            border: 'none',
+                            color: '#b2bec3',
+                            cursor: 'pointer',
+                            fontWeight: 'bold'
+                        }}
+                    >
+                        取消
+                    </button>
+                    <button
+                        className="btn-bubble"
+                        disabled={templates.length === 0}
+                        onClick={() => onConfirm(resolutions)}
+                        style={{ padding: '10px 30px', fontSize: '1rem' }}
+                    >
+                        导入 ✨
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default ImportDialog;
@@ -0,0 +1,74 @@
+import React from 'react';
+
+/**
+ * @file PersonaEditor.jsx
+ * @description Form for the structured Context of the prompt: the role the model plays,
+ * its years of expertise and free-form background about the task.
+ * Industries are chosen separately with the industry TagSelector.
+ *
+ * @module Components/PersonaEditor
+ * @author Feng
+ * @date 2026-10-19
+ */
+
+/** Shared style for the persona input fields. */
+const fieldStyle = {
+    padding: '10px 15px',
+    borderRadius: '20px',
+    border: '1px solid white',
+    background: 'rgba(255,255,255,0.7)',
+    fontFamily: 'inherit',
+    fontSize: '0.95rem',
+    boxSizing: 'border-box'
+};
+
+/**
+ * PersonaEditor Component.
+ *
+ * @component
+ * @param {Object} props - Component properties.
+ * @param {Object} props.persona - The current persona {role, expertiseYears, background}.
+ * @param {Function} props.onChange - Callback with the updated persona.
+ * format: (personaObject) => void
+ *
+ * @returns {JSX.Element} The rendered PersonaEditor component.
+ */
+const PersonaEditor = ({ persona, onChange }) => {
+    /**
+     * Updates a single persona field.
+     *
+     * @param {string} key - The field to update.
+     * @param {string} value - The new value.
+     */
+    const update = (key, value) => onChange({ ...persona, [key]: value });
+
+    return (
+        <div className="pop-in" style={{ maxWidth: '700px', margin: '0 auto', display: 'flex', flexDirection: 'column', gap: '12px' }}>
+            <div style={{ display: 'flex', gap: '12px' }}>
+                <input
+                    type="text"
+                    value={persona.role}
+                    onChange={(e) => update('role', e.target.value)}
+                    placeholder="扮演的角色，例如：资深文案策划（默认：专家）"
+                    style={{ ...fieldStyle, flex: 1 }}
+                />
+                <input
+                    type="number"
+                    min="0"
+                    value={persona.expertiseYears}
+                    onChange={(e) => update('expertiseYears', e.target.value)}
+                    placeholder="从业年限"
+                    style={{ ...fieldStyle, width: '130px' }}
+                />
+            </div>
+            <textarea
+                value={persona.background}
+                onChange={(e) => update('background', e.target.value)}
+                placeholder="补充背景，例如：我们是一家面向年轻人的新茶饮品牌，正在筹备秋季新品上市..."
+                style={{ ...fieldStyle, minHeight: '80px', resize: 'vertical', lineHeight: '1.5' }}
+            />
+        </div>
+    );
+};
+
+export default PersonaEditor;
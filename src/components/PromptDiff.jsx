@@ -0,0 +1,77 @@
+import React from 'react';
+import { diffLines, diffInputs } from '../utils/templateVersions';
+
+/**
+ * @file PromptDiff.jsx
+ * @description Compares two generated prompts together with their inputs: changed structured inputs
+ * side by side, and the prompt texts as a line diff. Used by the template version history and the
+ * generation history.
+ *
+ * @module Components/PromptDiff
+ * @author Feng
+ * @date 2026-10-19
+ */
+
+/** Line colors and markers per diff line type. */
+const LINE_STYLES = {
+    same: { background: 'transparent', color: '#636E72', marker: ' ' },
+    added: { background: '#e6fffa', color: '#00796b', marker: '+' },
+    removed: { background: '#ffecec', color: '#c0392b', marker: '-' }
+};
+
+/**
+ * PromptDiff Component.
+ *
+ * @component
+ * @param {Object} props - Component properties.
+ * @param {Object} props.before - The older prompt with its inputs (template version or history entry).
+ * @param {Object} props.after - The newer prompt with its inputs.
+ *
+ * @returns {JSX.Element} The rendered PromptDiff component.
+ */
+const PromptDiff = ({ before, after }) => {
+    const inputChanges = diffInputs(before, after);
+    const lines = diffLines(before.generatedPrompt, after.generatedPrompt);
+
+    return (
+        <>
+            <h4 style={{ margin: '10px 0', color: '#2D3436' }}>输入变化</h4>
+            {inputChanges.length === 0 ? (
+                <div style={{ color: '#b2bec3', fontSize: '0.9rem' }}>结构化输入没有变化</div>
+            ) : (
+                <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '0.85rem' }}>
+                    <tbody>
+                        {inputChanges.map(change => (
+                            <tr key={change.key} style={{ borderBottom: '1px solid #f1f2f6' }}>
+                                <td style={{ padding: '6px', fontWeight: 'bold', color: '#2D3436', width: '25%' }}>{change.label}</td>
+                                <td style={{ padding: '6px', color: LINE_STYLES.removed.color, background: LINE_STYLES.removed.background }}>{change.before || '（空）'}</td>
+                                <td style={{ padding: '6px', color: LINE_STYLES.added.color, background: LINE_STYLES.added.background }}>{change.after || '（空）'}</td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            )}
+
+            <h4 style={{ margin: '20px 0 10px', color: '#2D3436' }}>提示词变化</h4>
+            <pre style={{
+                margin: 0,
+                padding: '10px',
+                borderRadius: '15px',
+                background: '#f8f9fa',
+                fontSize: '0.8rem',
+                whiteSpace: 'pre-wrap',
+                wordBreak: 'break-word',
+                maxHeight: '40vh',
+                overflowY: 'auto'
+            }}>
+                {lines.map((line, index) => (
+                    <div key={index} style={{ background: LINE_STYLES[line.type].background, color: LINE_STYLES[line.type].color }}>
+                        {LINE_STYLES[line.type].marker} {line.text}
+                    </div>
+                ))}
+            </pre>
+        </>
+    );
+};
+
+export default PromptDiff;
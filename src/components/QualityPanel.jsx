@@ -0,0 +1,122 @@
+import React, { useState } from 'react';
+
+/**
+ * @file QualityPanel.jsx
+ * @description Shows the prompt quality report from `utils/promptLinter.js` on the result step:
+ * a score, the estimated token count and suggestions that jump back to where each issue can be fixed.
+ *
+ * @module Components/QualityPanel
+ * @author Feng
+ * @date 2026-10-19
+ */
+
+/** Badge colors and labels per issue severity. */
+const SEVERITY = {
+    error: { color: '#d63031', label: '严重' },
+    warning: { color: '#e17055', label: '建议' },
+    info: { color: '#0984e3', label: '提示' }
+};
+
+/** Where each jump target leads, for the button label. */
+const STEP_LABELS = {
+    result: '去修改',
+    wizard: '去回答',
+    tagging: '去调整'
+};
+
+/**
+ * Picks the score color: green for good, orange for fair, red for poor prompts.
+ *
+ * @param {number} score - The 0-100 score.
+ * @returns {string} The color.
+ */
+const scoreColor = (score) => {
+    if (score >= 80) return '#00b894';
+    if (score >= 60) return '#fdcb6e';
+    return '#d63031';
+};
+
+/**
+ * QualityPanel Component.
+ *
+ * @component
+ * @param {Object} props - Component properties.
+ * @param {Object} props.report - The lint report {score, tokens, issues}.
+ * @param {Function} [props.onJump] - Callback to go fix an issue.
+ * format: ({ step, questionId, field }) => void
+ *
+ * @returns {JSX.Element} The rendered QualityPanel component.
+ */
+const QualityPanel = ({ report, onJump }) => {
+    /**
+     * @state {boolean} isOpen - Whether the suggestion list is expanded.
+     */
+    const [isOpen, setIsOpen] = useState(false);
+
+    const { score, tokens, issues } = report;
+
+    return (
+        <div style={{
+            background: 'rgba(255,255,255,0.7)',
+            borderRadius: '20px',
+            padding: '10px 20px',
+            marginBottom: '15px'
+        }}>
+            {/* Summary Row */}
+            <div
+                onClick={() => setIsOpen(!isOpen)}
+                style={{ display: 'flex', alignItems: 'center', gap: '15px', cursor: 'pointer' }}
+            >
+                <span style={{ fontWeight: 'bold', fontSize: '1.2rem', color: scoreColor(score) }}>
+                    {score}
+                    <span style={{ fontSize: '0.8rem', color: '#b2bec3' }}> / 100</span>
+                </span>
+                <span style={{ color: '#636E72' }}>质量评分</span>
+                <span style={{ color: '#b2bec3' }}>·</span>
+                <span style={{ color: '#636E72' }}>约 {tokens} tokens</span>
+                <span style={{ flex: 1 }} />
+                <span style={{ color: '#6C5CE7', fontWeight: 'bold' }}>
+                    {issues.length ? `${issues.length} 条建议 ${isOpen ? '▲' : '▼'}` : '看起来很棒 👍'}
+                </span>
+            </div>
+
+            {/* Suggestion List */}
+            {isOpen && issues.length > 0 && (
+                <ul style={{ listStyle: 'none', margin: '10px 0 0', padding: 0, display: 'flex', flexDirection: 'column', gap: '8px' }}>
+                    {issues.map(issue => (
+                        <li key={issue.id} style={{ display: 'flex', alignItems: 'center', gap: '10px' }}>
+                            <span style={{
+                                background: SEVERITY[issue.severity].color,
+                                color: 'white',
+                                borderRadius: '10px',
+                                padding: '2px 8px',
+                                fontSize: '0.75rem',
+                                whiteSpace: 'nowrap'
+                            }}>
+                                {SEVERITY[issue.severity].label}
+                            </span>
+                            <span style={{ flex: 1, color: '#2D3436', fontSize: '0.9rem' }}>{issue.message}</span>
+                            {onJump && issue.target && (
+                                <button
+                                    onClick={() => onJump(issue.target)}
+                                    style={{
+                                        background: 'transparent',
+                                        border: 'none',
+                                        color: '#6C5CE7',
+                                        cursor: 'pointer',
+                                        fontWeight: 'bold',
+                                        whiteSpace: 'nowrap'
+                                    }}
+                                >
+                                    {STEP_LABELS[issue.target.step] || '去修改'} →
+                                </button>
+                            )}
+                        </li>
+                    ))}
+                </ul>
+            )}
+        </div>
+    );
+};
+
+export default QualityPanel;
@@ -0,0 +1,178 @@
+import React from 'react';
+
+/**
+ * @file QuestionInput.jsx
+ * @description Renders the answer control for a wizard question according to its `type`
+ * (text, select, multiselect, number, range, boolean) and reports structured answer values.
+ * See `data/questions.js` for the question schema and `utils/answerFormat.js` for the value shapes.
+ *
+ * @module Components/QuestionInput
+ * @author Feng
+ * @date 2026-10-19
+ */
+
+/** Shared style for the single-line inputs. */
+const inputStyle = {
+    padding: '12px 20px',
+    borderRadius: '30px',
+    border: '1px solid white',
+    background: 'rgba(255,255,255,0.7)',
+    fontFamily: 'inherit',
+    fontSize: '1rem',
+    boxSizing: 'border-box'
+};
+
+/**
+ * Renders a row of choice chips.
+ *
+ * @param {Object} props - Component properties.
+ * @param {Array<Object>} props.choices - The choices {value, label}.
+ * @param {Function} props.isActive - Whether a choice value is selected.
+ * format: (value) => boolean
+ * @param {Function} props.onPick - Callback when a choice is clicked.
+ * format: (value) => void
+ * @returns {JSX.Element} The rendered chip row.
+ */
+const ChoiceChips = ({ choices, isActive, onPick }) => (
+    <div style={{ display: 'flex', flexWrap: 'wrap', gap: '12px', justifyContent: 'center' }}>
+        {choices.map(choice => (
+            <button
+                key={String(choice.value)}
+                onClick={() => onPick(choice.value)}
+                className={`tag-chip ${isActive(choice.value) ? 'active' : ''}`}
+            >
+                {choice.label}
+            </button>
+        ))}
+    </div>
+);
+
+/**
+ * QuestionInput Component.
+ *
+ * @component
+ * @param {Object} props - Component properties.
+ * @param {Object} props.question - The question (id, type, options, min, max, step, unit, ...).
+ * @param {*} props.value - The current answer value (undefined if unanswered).
+ * @param {Function} props.onChange - Callback with the new answer value.
+ * format: (value) => void
+ *
+ * @returns {JSX.Element} The rendered answer control.
+ */
+const QuestionInput = ({ question, value, onChange }) => {
+    const options = question.options || [];
+
+    switch (question.type) {
+        case 'select': {
+            const isOther = typeof value === 'string' && value !== '' && !options.includes(value);
+            return (
+                <div style={{ width: '100%', display: 'flex', flexDirection: 'column', alignItems: 'center', gap: '20px' }}>
+                    <ChoiceChips
+                        choices={options.map(o => ({ value: o, label: o }))}
+                        isActive={(o) => o === value}
+                        onPick={(o) => onChange(o === value ? undefined : o)}
+                    />
+                    {question.allowOther && (
+                        <input
+                            type="text"
+                            value={isOther ? value : ''}
+                            onChange={(e) => onChange(e.target.value)}
+                            placeholder="其他，请填写..."
+                            style={{ ...inputStyle, width: '60%' }}
+                        />
+                    )}
+                </div>
+            );
+        }
+
+        case 'multiselect': {
+            const selected = Array.isArray(value) ? value : [];
+            return (
+                <ChoiceChips
+                    choices={options.map(o => ({ value: o, label: o }))}
+                    isActive={(o) => selected.includes(o)}
+                    onPick={(o) => onChange(selected.includes(o) ? selected.filter(x => x !== o) : [...selected, o])}
+                />
+            );
+        }
+
+        case 'number':
+            return (
+                <div style={{ display: 'flex', alignItems: 'center', gap: '12px' }}>
+                    <input
+                        type="number"
+                        min={question.min}
+                        max={question.max}
+                        step={question.step}
+                        value={typeof value === 'number' ? value : ''}
+                        onChange={(e) => onChange(e.target.value === '' ? undefined : Number(e.target.value))}
+                        placeholder="请输入数字..."
+                        style={{ ...inputStyle, width: '220px' }}
+                        autoFocus
+                    />
+                    {question.unit && <span style={{ color: '#636E72', fontWeight: 'bold' }}>{question.unit}</span>}
+                </div>
+            );
+
+        case 'range': {
+            const current = typeof value === 'number' ? value : (question.defaultValue ?? question.min ?? 0);
+            return (
+                <div style={{ width: '80%', textAlign: 'center' }}>
+                    <div style={{ fontSize: '2rem', fontWeight: 'bold', color: '#6C5CE7', marginBottom: '15px' }}>
+                        {current} {question.unit}
+                    </div>
+                    <input
+                        type="range"
+                        min={question.min}
+                        max={question.max}
+                        step={question.step}
+                        value={current}
+                        onChange={(e) => onChange(Number(e.target.value))}
+                        style={{ width: '100%', accentColor: '#6C5CE7' }}
+                    />
+                    <div style={{ display: 'flex', justifyContent: 'space-between', color: '#b2bec3', fontSize: '0.85rem' }}>
+                        <span>{question.min} {question.unit}</span>
+                        <span>{question.max} {question.unit}</span>
+                    </div>
+                </div>
+            );
+        }
+
+        case 'boolean':
+            return (
+                <ChoiceChips
+                    choices={[
+                        { value: true, label: question.trueLabel || '是' },
+                        { value: false, label: question.falseLabel || '否' }
+                    ]}
+                    isActive={(v) => v === value}
+                    onPick={(v) => onChange(v === value ? undefined : v)}
+                />
+            );
+
+        default:
+            return (
+                <textarea
+                    value={typeof value === 'string' ? value : ''}
+                    onChange={(e) => onChange(e.target.value)}
+                    placeholder="请输入回答..."
+                    className="input-bubble"
+                    style={{
+                        width: '100%',
+                        height: '200px',
+                        resize: 'none',
+                        borderRadius: '30px',
+                        marginBottom: '20px',
+                        boxSizing: 'border-box',
+                        padding: '15px',
+                        fontFamily: 'inherit',
+                        fontSize: '1rem',
+                        lineHeight: '1.5'
+                    }}
+                    autoFocus
+                />
+            );
+    }
+};
+
+export default QuestionInput;
@@ -1,39 +1,225 @@
-import React, { useState } from 'react';
+import React, { useState, useMemo, useEffect, useRef } from 'react';
+import { flushSync } from 'react-dom';
+import { CoStarBuilder } from '../utils/promptEngine';
+import { formatAnswer } from '../utils/answerFormat';
+import { lintPrompt } from '../utils/promptLinter';
+import { countText } from '../utils/tokenEstimator';
+import QualityPanel from './QualityPanel';
 
 /**
  * @file ResultGenerator.jsx
  * @description The final step component that displays the generated prompt.
- * Features copy-to-clipboard functionality and options to save the prompt as a template
- * or restart the process.
- * 
+ * Shows the CO-STAR fields as an editable form next to the live-rendered prompt,
+ * offers a free-edit mode for the raw text, a quality report with suggestions, length statistics
+ * with a token budget (compacting the prompt when it is exceeded),
+ * copy-to-clipboard functionality and options to save the prompt as a template or restart the process.
+ *
  * @module Components/ResultGenerator
  * @author Feng
  * @date 2026-02-04
  */
 
+/** Separators accepted in the inline list fields (industries, styles). */
+const LIST_SEPARATOR = /[,，、]/;
+
+/** Shared style for the field inputs in the editing panel. */
+const fieldStyle = {
+    width: '100%',
+    padding: '8px 12px',
+    borderRadius: '12px',
+    border: '1px solid #dfe6e9',
+    background: 'rgba(255,255,255,0.8)',
+    fontFamily: 'inherit',
+    fontSize: '0.9rem',
+    boxSizing: 'border-box',
+    resize: 'vertical'
+};
+
+/** Shared style for the small switcher chips. */
+const chipStyle = { padding: '6px 14px' };
+
+/**
+ * A labelled row in the field editing panel.
+ *
+ * @param {Object} props - Component properties.
+ * @param {string} props.label - The field label.
+ * @param {React.ReactNode} props.children - The input control.
+ * @returns {JSX.Element} The rendered field row.
+ */
+const Field = ({ label, children }) => (
+    <label style={{ display: 'block', marginBottom: '12px' }}>
+        <span style={{ display: 'block', fontSize: '0.8rem', fontWeight: 'bold', color: '#636E72', marginBottom: '4px' }}>{label}</span>
+        {children}
+    </label>
+);
+
 /**
  * ResultGenerator Component.
- * 
+ *
  * @component
  * @param {Object} props - Component properties.
- * @param {string} props.prompt - The generated prompt string to display.
+ * @param {Object} props.spec - The prompt spec (see `CoStarBuilder.toSpec`) the result was built from.
+ * @param {string} props.prompt - The prompt text to show initially. If it differs from the rendered spec
+ * (e.g., a template saved after free editing), the view opens in free-edit mode.
+ * @param {string} props.format - The id of the current output format (e.g., 'markdown').
+ * @param {Array<Object>} props.formats - Available output formats {id, label}.
+ * @param {Function} props.onFormatChange - Callback to render the prompt in another format.
+ * format: (formatId) => void
+ * @param {string} props.locale - The id of the current prompt language (e.g., 'zh').
+ * @param {Array<Object>} props.locales - Available prompt languages {id, label}.
+ * @param {Function} props.onLocaleChange - Callback to regenerate the prompt in another language.
+ * format: (localeId) => void
+ * @param {string} props.tokenProfile - The id of the tokenizer profile used for token counts.
+ * @param {Array<Object>} props.tokenProfiles - Available tokenizer profiles {id, label}.
+ * @param {number} props.tokenBudget - Token budget for the prompt (0 = none).
+ * @param {Function} props.onTokenSettingsChange - Callback to change the tokenizer profile or budget.
+ * format: ({ profile, budget }) => void
  * @param {Function} props.onSave - Callback to save the current prompt to templates.
+ * format: ({ prompt, spec }) => void
+ * @param {Function} [props.onSaveVersion] - Callback to save the current prompt as a new version of the loaded template.
+ * format: ({ prompt, spec }) => void
+ * @param {string} [props.versionOf] - The name of the loaded template (shown on the version button).
+ * @param {Array<Object>} [props.missingInfo] - Essential questions of the task type left unanswered (shown as a warning).
+ * @param {Function} [props.onJump] - Callback to go back to a step to fix something (missing answers, quality issues).
+ * format: ({ step, questionId }) => void; issues in the fields shown here are handled in place
+ * @param {Function} [props.onEdit] - Callback with the edited fields and the free-edited text whenever they change.
+ * format: ({ spec, text }) => void, where text is null while the text follows the fields
+ * @param {Function} [props.onBack] - Callback to go back to the previous step with all inputs kept.
  * @param {Function} props.onRestart - Callback to reset the application state and start over.
- * 
+ *
  * @returns {JSX.Element} The rendered ResultGenerator component.
  */
-const ResultGenerator = ({ prompt, onSave, onRestart }) => {
+const ResultGenerator = ({ spec: initialSpec, prompt, format, formats, onFormatChange, locale, locales, onLocaleChange, tokenProfile, tokenProfiles, tokenBudget, onTokenSettingsChange, onSave, onSaveVersion, versionOf, missingInfo = [], onJump, onEdit, onBack, onRestart }) => {
     /**
      * @state {boolean} copied - Temporary state to show "Copied!" feedback.
      */
     const [copied, setCopied] = useState(false);
 
+    /**
+     * @state {Object} spec - The CO-STAR fields as currently edited.
+     */
+    const [spec, setSpec] = useState(initialSpec);
+
+    /**
+     * @state {string|null} rawText - The free-edited prompt text, or null when the text follows the fields.
+     */
+    const [rawText, setRawText] = useState(() => {
+        // Text saved before the budget changed may be the unfitted render; both follow the fields
+        const builder = CoStarBuilder.fromSpec(initialSpec);
+        const renders = [builder.build({ format, budget: tokenBudget, profile: tokenProfile }), builder.build({ format })];
+        return prompt && !renders.includes(prompt) ? prompt : null;
+    });
+
+    // The field inputs quality issues can point to, keyed by spec field
+    const fieldRefs = useRef({});
+
+    // Live re-render of the prompt from the edited fields, compacted if it exceeds the token budget
+    const { rendered, isCompacted } = useMemo(() => {
+        const builder = CoStarBuilder.fromSpec(spec);
+        const fitted = builder.build({ format, budget: tokenBudget, profile: tokenProfile });
+        return { rendered: fitted, isCompacted: fitted !== builder.build({ format }) };
+    }, [spec, format, tokenBudget, tokenProfile]);
+
+    // Labels for the user input fields, in the UI language
+    const inputLabeler = useMemo(() => CoStarBuilder.fromSpec({ ...initialSpec, locale: 'zh' }), [initialSpec]);
+
+    const isFreeEdit = rawText !== null;
+    const text = isFreeEdit ? rawText : rendered;
+    const isDirty = spec !== initialSpec || isFreeEdit;
+
+    // Quality report on the fields as edited (the token estimate follows the shown text)
+    const report = useMemo(() => lintPrompt(spec, text, { profile: tokenProfile }), [spec, text, tokenProfile]);
+    const stats = useMemo(() => countText(text, tokenProfile), [text, tokenProfile]);
+    const isOverBudget = tokenBudget > 0 && stats.tokens > tokenBudget;
+
+    // Report the edits, so they are autosaved with the session
+    useEffect(() => {
+        if (onEdit) onEdit({ spec, text: rawText });
+    }, [spec, rawText, onEdit]);
+
+    /**
+     * Updates a single spec field.
+     *
+     * @param {string} key - The spec field to update.
+     * @param {*} value - The new value.
+     */
+    const updateField = (key, value) => setSpec(prev => ({ ...prev, [key]: value }));
+
+    /**
+     * Updates the value of a single user input.
+     *
+     * Edited values replace structured answers with plain text.
+     *
+     * @param {string} key - The input key (question id).
+     * @param {string} value - The new value.
+     */
+    const updateInput = (key, value) => setSpec(prev => ({ ...prev, userInputs: { ...prev.userInputs, [key]: value } }));
+
+    /**
+     * Switches between field editing and free editing of the raw text.
+     * Leaving free-edit mode discards the raw edits, so it asks first.
+     */
+    const toggleFreeEdit = () => {
+        if (!isFreeEdit) {
+            setRawText(rendered);
+            return;
+        }
+        if (rawText !== rendered && !window.confirm('退出自由编辑会丢弃对文本的修改，继续吗？')) return;
+        setRawText(null);
+    };
+
+    /**
+     * Regenerates the prompt in another language, confirming first if manual edits would be lost.
+     *
+     * @param {string} id - The locale id.
+     */
+    const handleLocaleChange = (id) => {
+        if (id === locale) return;
+        if (isDirty && !window.confirm('切换语言会按原始输入重新生成，手动修改将丢失。继续吗？')) return;
+        onLocaleChange(id);
+    };
+
+    /**
+     * Goes back to the previous step, confirming first if manual edits would be lost.
+     */
+    const handleBack = () => {
+        if (isDirty && !window.confirm('返回上一步会丢弃对结果的手动修改，继续吗？')) return;
+        onBack();
+    };
+
+    /**
+     * Jumps back to a step to fix something, confirming first if manual edits would be lost.
+     *
+     * @param {Object} target - Where to go {step, questionId}.
+     */
+    const handleJump = (target) => {
+        if (target.step === 'result') {
+            showField(target.field);
+            return;
+        }
+        if (isDirty && !window.confirm('返回修改会丢弃对结果的手动修改，继续吗？')) return;
+        onJump(target);
+    };
+
+    /**
+     * Focuses a field in the editor, leaving free-edit mode first (with the same confirmation as the toggle).
+     *
+     * @param {string} field - The spec field.
+     */
+    const showField = (field) => {
+        if (isFreeEdit) {
+            if (rawText !== rendered && !window.confirm('退出自由编辑会丢弃对文本的修改，继续吗？')) return;
+            flushSync(() => setRawText(null)); // The editor has to be rendered before it can take focus
+        }
+        fieldRefs.current[field]?.focus();
+    };
+
     /**
      * Handles copying the prompt text to the system clipboard.
      * Sets a temporary success state for visual feedback.
      */
     const handleCopy = () => {
-        navigator.clipboard.writeText(prompt);
+        navigator.clipboard.writeText(text);
         setCopied(true);
         // Reset feedback after 2 seconds
         setTimeout(() => setCopied(false), 2000);
@@ -47,6 +233,22 @@ const ResultGenerator = ({ prompt, onSave, onRestart }) => {
                     生成的提示词 ✨
                 </h2>
                 <div style={{ display: 'flex', gap: '10px' }}>
+                    {onBack && (
+                        <button
+                            onClick={handleBack}
+                            style={{
+                                background: 'white',
+                                color: '#636E72',
+                                border: 'none',
+                                padding: '8px 20px',
+                                borderRadius: '20px',
+                                cursor: 'pointer',
+                                boxShadow: '0 2px 10px rgba(0,0,0,0.05)'
+                            }}
+                        >
+                            {'<- 返回调整'}
+                        </button>
+                    )}
                     <button
                         onClick={onRestart}
                         style={{
@@ -62,7 +264,7 @@ const ResultGenerator = ({ prompt, onSave, onRestart }) => {
                         重来 🔄
                     </button>
                     <button
-                        onClick={onSave}
+                        onClick={() => onSave({ prompt: text, spec })}
                         style={{
                             background: '#0984e3',
                             color: 'white',
@@ -74,57 +276,231 @@ const ResultGenerator = ({ prompt, onSave, onRestart }) => {
                             boxShadow: '0 5px 15px rgba(9, 132, 227, 0.3)'
                         }}
                     >
-                        保存 📥
+                        {onSaveVersion ? '另存为新模板 📥' : '保存 📥'}
                     </button>
+                    {onSaveVersion && (
+                        <button
+                            onClick={() => onSaveVersion({ prompt: text, spec })}
+                            title={`保存为「${versionOf}」的新版本`}
+                            style={{
+                                background: '#6C5CE7',
+                                color: 'white',
+                                padding: '8px 20px',
+                                border: 'none',
+                                borderRadius: '20px',
+                                cursor: 'pointer',
+                                fontWeight: 'bold',
+                                boxShadow: '0 5px 15px rgba(108, 92, 231, 0.3)'
+                            }}
+                        >
+                            保存为新版本 🧬
+                        </button>
+                    )}
                 </div>
             </div>
 
-            {/* Main Result Display Area */}
-            <div style={{
-                flex: 1,
-                position: 'relative',
-                background: 'white',
-                borderRadius: '30px',
-                borderBottomLeftRadius: '5px', /* Message Bubble Tail illusion */
-                boxShadow: '0 10px 30px rgba(0,0,0,0.05)',
-                padding: '40px',
-                overflow: 'hidden'
-            }}>
-                <textarea
-                    readOnly
-                    value={prompt}
-                    style={{
-                        width: '100%',
-                        height: '100%',
-                        background: 'transparent',
-                        border: 'none',
-                        color: '#2D3436',
-                        fontFamily: 'var(--font-body)',
-                        fontSize: '1.05rem',
-                        lineHeight: '1.6',
-                        resize: 'none',
-                        outline: 'none',
-                        paddingBottom: '50px'
-                    }}
-                />
-
-                {/* Floating Copy Button */}
+            {/* Missing Essential Information Warning */}
+            {missingInfo.length > 0 && (
+                <div className="pop-in" style={{
+                    background: '#ffeaa7',
+                    color: '#6c5200',
+                    borderRadius: '20px',
+                    padding: '12px 20px',
+                    marginBottom: '15px',
+                    display: 'flex',
+                    alignItems: 'center',
+                    flexWrap: 'wrap',
+                    gap: '8px'
+                }}>
+                    <span>⚠️ 提示词缺少关键信息，生成效果可能打折扣：</span>
+                    {missingInfo.map(q => (
+                        <button
+                            key={q.id}
+                            onClick={() => onJump && handleJump({ step: 'wizard', questionId: q.id })}
+                            style={{
+                                background: 'white',
+                                border: 'none',
+                                borderRadius: '15px',
+                                padding: '4px 12px',
+                                cursor: onJump ? 'pointer' : 'default',
+                                color: '#6c5200',
+                                fontWeight: 'bold'
+                            }}
+                        >
+                            {q.label || q.text} ✏️
+                        </button>
+                    ))}
+                </div>
+            )}
+
+            {/* Prompt Quality Report */}
+            <QualityPanel report={report} onJump={onJump && handleJump} />
+
+            {/* Output Format, Language and Edit Mode Switchers */}
+            <div style={{ display: 'flex', gap: '10px', marginBottom: '15px', flexWrap: 'wrap' }}>
+                {formats.map(f => (
+                    <button
+                        key={f.id}
+                        onClick={() => onFormatChange(f.id)}
+                        className={`tag-chip ${f.id === format ? 'active' : ''}`}
+                        style={chipStyle}
+                        disabled={isFreeEdit}
+                    >
+                        {f.label}
+                    </button>
+                ))}
+                <span style={{ flex: 1 }} />
+                {locales.map(l => (
+                    <button
+                        key={l.id}
+                        onClick={() => handleLocaleChange(l.id)}
+                        className={`tag-chip ${l.id === locale ? 'active' : ''}`}
+                        style={chipStyle}
+                    >
+                        {l.label}
+                    </button>
+                ))}
                 <button
-                    onClick={handleCopy}
-                    className="btn-bubble"
-                    style={{
-                        position: 'absolute',
-                        bottom: '20px',
-                        right: '20px',
-                        padding: '10px 30px',
-                        fontSize: '0.9rem',
-                        background: copied ? '#00b894' : 'linear-gradient(135deg, #6C5CE7, #a29bfe)',
-                        color: 'white'
-                    }}
+                    onClick={toggleFreeEdit}
+                    className={`tag-chip ${isFreeEdit ? 'active' : ''}`}
+                    style={chipStyle}
                 >
-                    {copied ? '已复制！👌' : '复制内容 📋'}
+                    {isFreeEdit ? '自由编辑中 ✏️' : '自由编辑 ✏️'}
                 </button>
             </div>
+
+            {/* Length Statistics and Token Budget */}
+            <div style={{ display: 'flex', alignItems: 'center', gap: '12px', marginBottom: '15px', flexWrap: 'wrap', color: '#636E72', fontSize: '0.9rem' }}>
+                <span>字符 <b>{stats.characters}</b></span>
+                <span>词 <b>{stats.words}</b></span>
+                <span>约 <b style={{ color: isOverBudget ? '#d63031' : '#6C5CE7' }}>{stats.tokens}</b> tokens</span>
+                <select
+                    value={tokenProfile}
+                    onChange={(e) => onTokenSettingsChange({ profile: e.target.value, budget: tokenBudget })}
+                    style={{ ...fieldStyle, width: 'auto', padding: '4px 10px' }}
+                    aria-label="分词器"
+                >
+                    {tokenProfiles.map(p => <option key={p.id} value={p.id}>{p.label}</option>)}
+                </select>
+                <span style={{ flex: 1 }} />
+                <label style={{ display: 'flex', alignItems: 'center', gap: '6px' }}>
+                    预算
+                    <input
+                        type="number"
+                        min="0"
+                        step="100"
+                        value={tokenBudget || ''}
+                        onChange={(e) => onTokenSettingsChange({ profile: tokenProfile, budget: Math.max(0, parseInt(e.target.value, 10) || 0) })}
+                        placeholder="不限"
+                        style={{ ...fieldStyle, width: '100px', padding: '4px 10px' }}
+                    />
+                    tokens
+                </label>
+                {isCompacted && !isFreeEdit && <span style={{ color: '#e17055', fontWeight: 'bold' }}>已精简（省略思考链路）</span>}
+                {isOverBudget && <span style={{ color: '#d63031', fontWeight: 'bold' }}>超出预算 {stats.tokens - tokenBudget} tokens</span>}
+            </div>
+
+            <div style={{ flex: 1, display: 'flex', gap: '20px', minHeight: '500px' }}>
+                {/* CO-STAR Field Editor (hidden while free editing) */}
+                {!isFreeEdit && (
+                    <div style={{
+                        width: '40%',
+                        maxHeight: '70vh',
+                        overflowY: 'auto',
+                        background: 'rgba(255,255,255,0.6)',
+                        borderRadius: '20px',
+                        padding: '20px',
+                        boxSizing: 'border-box'
+                    }}>
+                        <Field label="角色 (Role)">
+                            <input style={fieldStyle} value={spec.role} onChange={(e) => updateField('role', e.target.value)} placeholder="专家" />
+                        </Field>
+                        <Field label="行业 (用、分隔)">
+                            <input style={fieldStyle} value={spec.industries.join('、')} onChange={(e) => updateField('industries', e.target.value.split(LIST_SEPARATOR))} />
+                        </Field>
+                        <Field label="从业年限">
+                            <input style={fieldStyle} type="number" min="0" value={spec.expertiseYears || ''} onChange={(e) => updateField('expertiseYears', e.target.value)} />
+                        </Field>
+                        <Field label="角色专长 (每行一条)">
+                            <textarea style={fieldStyle} rows={2} value={spec.expertise.join('\n')} onChange={(e) => updateField('expertise', e.target.value.split('\n'))} />
+                        </Field>
+                        <Field label="背景 (Context)">
+                            <textarea style={fieldStyle} rows={2} value={spec.background} onChange={(e) => updateField('background', e.target.value)} />
+                        </Field>
+                        <Field label="目标 (Objective)">
+                            <textarea ref={(el) => { fieldRefs.current.objective = el; }} style={fieldStyle} rows={2} value={spec.objective} onChange={(e) => updateField('objective', e.target.value)} />
+                        </Field>
+                        <Field label="风格 (Style，用、分隔)">
+                            <input style={fieldStyle} value={spec.style.join('、')} onChange={(e) => updateField('style', e.target.value.split(LIST_SEPARATOR))} />
+                        </Field>
+                        <Field label="语气 (Tone)">
+                            <input style={fieldStyle} value={spec.tone} onChange={(e) => updateField('tone', e.target.value)} />
+                        </Field>
+                        <Field label="受众 (Audience)">
+                            <input ref={(el) => { fieldRefs.current.audience = el; }} style={fieldStyle} value={spec.audience} onChange={(e) => updateField('audience', e.target.value)} />
+                        </Field>
+                        <Field label="格式 (Response)">
+                            <input style={fieldStyle} value={spec.responseFormat} onChange={(e) => updateField('responseFormat', e.target.value)} />
+                        </Field>
+                        <Field label="限制条件 (每行一条)">
+                            <textarea style={fieldStyle} rows={4} value={spec.constraints.join('\n')} onChange={(e) => updateField('constraints', e.target.value.split('\n'))} />
+                        </Field>
+                        {Object.entries(spec.userInputs).map(([key, value]) => (
+                            <Field key={key} label={inputLabeler.inputLabel(key)}>
+                                <textarea style={fieldStyle} rows={1} value={formatAnswer(value, inputLabeler.questionMeta[key], spec.locale)} onChange={(e) => updateInput(key, e.target.value)} />
+                            </Field>
+                        ))}
+                    </div>
+                )}
+
+                {/* Main Result Display Area */}
+                <div style={{
+                    flex: 1,
+                    position: 'relative',
+                    background: 'white',
+                    borderRadius: '30px',
+                    borderBottomLeftRadius: '5px', /* Message Bubble Tail illusion */
+                    boxShadow: '0 10px 30px rgba(0,0,0,0.05)',
+                    padding: '40px',
+                    overflow: 'hidden'
+                }}>
+                    <textarea
+                        readOnly={!isFreeEdit}
+                        value={text}
+                        onChange={(e) => setRawText(e.target.value)}
+                        style={{
+                            width: '100%',
+                            height: '100%',
+                            background: 'transparent',
+                            border: 'none',
+                            color: '#2D3436',
+                            fontFamily: 'var(--font-body)',
+                            fontSize: '1.05rem',
+                            lineHeight: '1.6',
+                            resize: 'none',
+                            outline: 'none',
+                            paddingBottom: '50px'
+                        }}
+                    />
+
+                    {/* Floating Copy Button */}
+                    <button
+                        onClick={handleCopy}
+                        className="btn-bubble"
+                        style={{
+                            position: 'absolute',
+                            bottom: '20px',
+                            right: '20px',
+                            padding: '10px 30px',
+                            fontSize: '0.9rem',
+                            background: copied ? '#00b894' : 'linear-gradient(135deg, #6C5CE7, #a29bfe)',
+                            color: 'white'
+                        }}
+                    >
+                        {copied ? '已复制！👌' : '复制内容 📋'}
+                    </button>
+                </div>
+            </div>
         </div>
     );
 };
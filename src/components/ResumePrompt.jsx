@@ -0,0 +1,52 @@
+import React from 'react';
+import { describeProgress } from '../utils/sessionDrafts';
+
+/**
+ * @file ResumePrompt.jsx
+ * @description Banner offering to resume the autosaved session after a reload.
+ *
+ * @module Components/ResumePrompt
+ * @author Feng
+ * @date 2026-10-19
+ */
+
+/**
+ * ResumePrompt Component.
+ *
+ * @component
+ * @param {Object} props - Component properties.
+ * @param {Object} props.session - The autosaved session.
+ * @param {Function} props.onResume - Callback to continue the session at its step and question.
+ * @param {Function} props.onDiscard - Callback to start fresh (the session is kept as a draft).
+ *
+ * @returns {JSX.Element} The rendered ResumePrompt component.
+ */
+const ResumePrompt = ({ session, onResume, onDiscard }) => (
+    <div className="pop-in" style={{
+        background: '#dfe6fd',
+        color: '#2D3436',
+        borderRadius: '20px',
+        padding: '12px 20px',
+        marginBottom: '15px',
+        display: 'flex',
+        alignItems: 'center',
+        flexWrap: 'wrap',
+        gap: '10px'
+    }}>
+        <span style={{ flex: 1, minWidth: '200px' }}>
+            💾 上次的提示词还没完成：「{session.taskInput.length > 20 ? `${session.taskInput.slice(0, 20)}…` : session.taskInput}」
+            <span style={{ color: '#6C5CE7', marginLeft: '8px' }}>（停在{describeProgress(session)}）</span>
+        </span>
+        <button
+            onClick={onDiscard}
+            style={{ background: 'transparent', border: 'none', color: '#636E72', cursor: 'pointer', fontWeight: 'bold' }}
+        >
+            重新开始
+        </button>
+        <button className="btn-bubble" onClick={onResume} style={{ padding: '8px 20px', fontSize: '0.95rem' }}>
+            继续编辑 ✨
+        </button>
+    </div>
+);
+
+export default ResumePrompt;
@@ -1,10 +1,11 @@
-import React from 'react';
+import React, { useState, useRef } from 'react';
 
 /**
  * @file TagSelector.jsx
  * @description A reusable component for selecting multiple tags from a predefined list.
  * Used for selecting styles, industries, or other categorical data.
- * 
+ * Users can also add their own tags, which are shown (and deletable) next to the built-in options.
+ *
  * @module Components/TagSelector
  * @author Feng
  * @date 2026-02-04
@@ -12,7 +13,7 @@ import React from 'react';
 
 /**
  * TagSelector Component.
- * 
+ *
  * @component
  * @param {Object} props - Component properties.
  * @param {string} props.type - The type of tag being selected (metadata only, e.g., 'style').
@@ -20,11 +21,56 @@ import React from 'react';
  * @param {Array<string>} props.selected - List of currently selected tags.
  * @param {Function} props.onToggle - Callback function when a tag is clicked.
  * format: (tagString) => void
- * @param {boolean} [props.allowCustom=true] - Whether to allow custom tag entry (reserved for future use).
- * 
+ * @param {boolean} [props.allowCustom=true] - Whether to show the "add custom tag" chip.
+ * @param {Array<string>} [props.customOptions=[]] - User-defined tags, shown after the built-in options.
+ * @param {Function} [props.onAddCustom] - Callback when the user adds a custom tag.
+ * format: (tagString) => void
+ * @param {Function} [props.onRemoveCustom] - Callback when the user deletes a custom tag.
+ * format: (tagString) => void
+ *
  * @returns {JSX.Element} The rendered TagSelector component.
  */
-const TagSelector = ({ type, options, selected, onToggle, allowCustom = true }) => {
+const TagSelector = ({ type, options, selected, onToggle, allowCustom = true, customOptions = [], onAddCustom, onRemoveCustom }) => {
+    /**
+     * @state {boolean} isAdding - Whether the custom tag input is open.
+     */
+    const [isAdding, setIsAdding] = useState(false);
+
+    /**
+     * @state {string} draft - The custom tag being typed.
+     */
+    const [draft, setDraft] = useState('');
+
+    // Set by Escape so the following blur discards the draft instead of adding it
+    const cancelledRef = useRef(false);
+
+    /**
+     * Adds the typed tag. Existing tags (built-in or custom) are selected instead of duplicated.
+     */
+    const commitDraft = () => {
+        const tag = cancelledRef.current ? '' : draft.trim();
+        cancelledRef.current = false;
+        setDraft('');
+        setIsAdding(false);
+        if (!tag) return;
+        if (options.includes(tag) || customOptions.includes(tag)) {
+            if (!selected.includes(tag)) onToggle(tag);
+            return;
+        }
+        onAddCustom(tag);
+    };
+
+    /**
+     * Handles Enter (add) and Escape (cancel) in the custom tag input.
+     * Enter just leaves the input; the blur handler commits, so the tag is only added once.
+     *
+     * @param {React.KeyboardEvent} e - The keyboard event.
+     */
+    const handleKeyDown = (e) => {
+        if (e.key === 'Escape') cancelledRef.current = true;
+        if (e.key === 'Enter' || e.key === 'Escape') e.currentTarget.blur();
+    };
+
     return (
         <div className="pop-in" style={{ display: 'flex', flexWrap: 'wrap', gap: '15px', justifyContent: 'center' }}>
             {options.map(opt => {
@@ -39,6 +85,57 @@ const TagSelector = ({ type, options, selected, onToggle, allowCustom = true })
                     </button>
                 );
             })}
+
+            {/* User-defined Tags */}
+            {customOptions.map(opt => (
+                <button
+                    key={`custom-${opt}`}
+                    onClick={() => onToggle(opt)}
+                    className={`tag-chip ${selected.includes(opt) ? 'active' : ''}`}
+                    style={{ borderStyle: 'dashed' }}
+                >
+                    {opt}
+                    {onRemoveCustom && (
+                        <span
+                            role="button"
+                            aria-label={`删除 ${opt}`}
+                            title="删除这个自定义标签"
+                            onClick={(e) => {
+                                e.stopPropagation(); // Deleting shouldn't toggle the tag
+                                onRemoveCustom(opt);
+                            }}
+                            style={{ marginLeft: '8px', opacity: 0.6 }}
+                        >
+                            ×
+                        </span>
+                    )}
+                </button>
+            ))}
+
+            {/* Add Custom Tag Chip */}
+            {allowCustom && onAddCustom && (isAdding ? (
+                <input
+                    type="text"
+                    name={`custom-${type}`}
+                    value={draft}
+                    onChange={(e) => setDraft(e.target.value)}
+                    onKeyDown={handleKeyDown}
+                    onBlur={commitDraft}
+                    placeholder="输入后回车"
+                    maxLength={20}
+                    className="tag-chip"
+                    style={{ width: '130px', outline: 'none', fontFamily: 'inherit' }}
+                    autoFocus
+                />
+            ) : (
+                <button
+                    onClick={() => setIsAdding(true)}
+                    className="tag-chip"
+                    style={{ borderStyle: 'dashed', color: '#b2bec3' }}
+                >
+                    + 自定义
+                </button>
+            ))}
         </div>
     );
 };
@@ -17,10 +17,11 @@ import React, { useState } from 'react';
  * @param {Object} props - Component properties.
  * @param {Function} props.onStart - Callback function triggered when the user submits a task.
  * format: (inputString) => void
+ * @param {string} [props.initialValue=''] - Pre-filled task text (e.g., when coming back to edit the task).
  * 
  * @returns {JSX.Element} The rendered TaskInput component.
  */
-const TaskInput = ({ onStart }) => {
+const TaskInput = ({ onStart, initialValue = '' }) => {
     // =========================================================================================
     // Local State
     // =========================================================================================
@@ -28,7 +29,7 @@ const TaskInput = ({ onStart }) => {
     /**
      * @state {string} input - Holds the current value of the main text input field.
      */
-    const [input, setInput] = useState('');
+    const [input, setInput] = useState(initialValue);
 
     /**
      * Handles the form submission event.
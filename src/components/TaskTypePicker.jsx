@@ -0,0 +1,116 @@
+import React from 'react';
+
+/**
+ * @file TaskTypePicker.jsx
+ * @description The confirmation step shown between TaskInput and Wizard.
+ * Displays the task type detected by the classifier with its confidence, and lets the user
+ * override it before the question set is fixed.
+ *
+ * @module Components/TaskTypePicker
+ * @author Feng
+ * @date 2026-10-19
+ */
+
+/**
+ * TaskTypePicker Component.
+ *
+ * @component
+ * @param {Object} props - Component properties.
+ * @param {string} props.taskInput - The user's original task description.
+ * @param {Object|null} props.classification - The classifier result {type, label, confidence, alternatives}, if any.
+ * @param {string} props.taskType - The currently chosen task type.
+ * @param {Array<Object>} props.taskTypes - All registered task type definitions {type, label}.
+ * @param {Array<Object>} props.questions - The question set planned for the chosen type, without follow-ups (preview only).
+ * @param {Function} props.onChangeType - Callback when the user picks a different type.
+ * format: (taskType) => void
+ * @param {Function} props.onConfirm - Callback to continue to the Wizard.
+ * @param {Function} props.onBack - Callback to return to the task input.
+ *
+ * @returns {JSX.Element} The rendered TaskTypePicker component.
+ */
+const TaskTypePicker = ({ taskInput, classification, taskType, taskTypes, questions, onChangeType, onConfirm, onBack }) => {
+    // Confidence per type, so every chip can show how likely the classifier thinks it is
+    const confidenceByType = Object.fromEntries(
+        (classification ? [classification, ...classification.alternatives] : []).map(c => [c.type, c.confidence])
+    );
+
+    // Matched types first (best first), then the remaining registered types in registry order
+    const orderedTypes = [...taskTypes].sort(
+        (a, b) => (confidenceByType[b.type] || 0) - (confidenceByType[a.type] || 0)
+    );
+
+    return (
+        <div className="pop-in" style={{ flex: 1, display: 'flex', flexDirection: 'column', alignItems: 'center', justifyContent: 'center', gap: '30px', textAlign: 'center' }}>
+
+            {/* Detected Type */}
+            <div>
+                <p style={{ color: '#b2bec3', margin: '0 0 10px' }}>“{taskInput}”</p>
+                {classification ? (
+                    <h2 style={{ fontSize: '1.8rem', color: '#2D3436', margin: 0 }}>
+                        我们认为这是 <span className="text-gradient">{classification.label}</span>
+                        <span style={{ fontSize: '1.1rem', color: '#636E72', marginLeft: '10px' }}>
+                            ({Math.round(classification.confidence * 100)}%)
+                        </span>
+                    </h2>
+                ) : (
+                    <h2 style={{ fontSize: '1.8rem', color: '#2D3436', margin: 0 }}>
+                        当前类型是 <span className="text-gradient">{taskTypes.find(def => def.type === taskType)?.label || taskType}</span>
+                    </h2>
+                )}
+                <p style={{ color: '#636E72', marginTop: '10px' }}>
+                    不对？选一个更合适的类型，问题会随之更换
+                </p>
+            </div>
+
+            {/* Type Options */}
+            <div style={{ display: 'flex', flexWrap: 'wrap', gap: '12px', justifyContent: 'center' }}>
+                {orderedTypes.map(def => (
+                    <button
+                        key={def.type}
+                        onClick={() => onChangeType(def.type)}
+                        className={`tag-chip ${def.type === taskType ? 'active' : ''}`}
+                    >
+                        {def.label}
+                        {confidenceByType[def.type] > 0 && (
+                            <span style={{ marginLeft: '6px', opacity: 0.7 }}>
+                                {Math.round(confidenceByType[def.type] * 100)}%
+                            </span>
+                        )}
+                    </button>
+                ))}
+            </div>
+
+            {/* Question Preview */}
+            <div style={{ color: '#636E72', fontSize: '0.95rem' }}>
+                接下来会问你：{questions.map(q => q.text).join(' · ')}
+            </div>
+
+            {/* Actions */}
+            <div style={{ display: 'flex', gap: '15px' }}>
+                <button
+                    onClick={onBack}
+                    style={{
+                        padding: '10px 20px',
+                        borderRadius: '30px',
+                        border: 'none',
+                        background: 'transparent',
+                        color: '#b2bec3',
+                        cursor: 'pointer',
+                        fontWeight: 'bold'
+                    }}
+                >
+                    {'<- 修改任务'}
+                </button>
+                <button
+                    onClick={onConfirm}
+                    className="btn-bubble"
+                    style={{ padding: '10px 30px', fontSize: '1rem' }}
+                >
+                    开始提问 ✨
+                </button>
+            </div>
+        </div>
+    );
+};
+
+export default TaskTypePicker;
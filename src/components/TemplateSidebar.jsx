@@ -1,9 +1,11 @@
-import React from 'react';
+import React, { useRef, useState } from 'react';
+import { TEMPLATE_SORTS, buildFilterChips, searchTemplates } from '../utils/templateSearch';
 
 /**
  * @file TemplateSidebar.jsx
  * @description A sidebar component ("Bubble Box") that displays saved prompt templates.
- * Allows users to load or delete saved prompts. Inherits glassmorphism style.
+ * Allows users to search, filter, sort, favorite, load or delete saved prompts, and to export
+ * templates to / import them from JSON files (see `utils/templateTransfer.js`). Inherits glassmorphism style.
  * 
  * @module Components/TemplateSidebar
  * @author Feng
@@ -18,12 +20,97 @@ import React from 'react';
  * @param {Array<Object>} props.templates - List of template objects to display.
  * @param {Function} props.onLoad - Callback to load a selected template.
  * @param {Function} props.onDelete - Callback to delete a template.
+ * @param {Function} props.onToggleFavorite - Callback to pin a template to / unpin it from the top.
+ * format: (id) => void
+ * @param {Function} props.onShowHistory - Callback to open the version history of a template.
+ * format: (template) => void
+ * @param {Function} props.onExport - Callback to export templates to a file.
+ * format: (templates) => void
+ * @param {Function} props.onImport - Callback with a template file chosen for import.
+ * format: (file) => void
  * @param {boolean} props.isOpen - Controls the visibility of the sidebar.
  * @param {Function} props.onClose - Callback to close the sidebar.
  * 
  * @returns {JSX.Element} The rendered Sidebar component.
  */
-const TemplateSidebar = ({ templates, onLoad, onDelete, isOpen, onClose }) => {
+const TemplateSidebar = ({ templates, onLoad, onDelete, onToggleFavorite, onShowHistory, onExport, onImport, isOpen, onClose }) => {
+    /**
+     * @state {string} query - The full-text search query.
+     */
+    const [query, setQuery] = useState('');
+
+    /**
+     * @state {Array<string>} activeChips - Keys of the active filter chips.
+     */
+    const [activeChips, setActiveChips] = useState([]);
+
+    /**
+     * @state {string} sort - The sort order id.
+     */
+    const [sort, setSort] = useState('date');
+
+    /**
+     * @state {Array<number>|null} selectedIds - Templates picked for export; null when not selecting.
+     */
+    const [selectedIds, setSelectedIds] = useState(null);
+
+    const fileInputRef = useRef(null);
+    const isSelecting = selectedIds !== null;
+
+    const chips = buildFilterChips(templates);
+    // Chips of deleted templates no longer filter anything
+    const chipKeys = activeChips.filter(key => chips.some(c => c.key === key));
+    const visibleTemplates = searchTemplates(templates, { query, chips: chipKeys, sort });
+
+    /**
+     * Turns a filter chip on or off.
+     * 
+     * @param {string} key - The chip key.
+     */
+    const toggleChip = (key) => {
+        setActiveChips(chipKeys.includes(key) ? chipKeys.filter(k => k !== key) : [...chipKeys, key]);
+    };
+
+    /**
+     * Adds a template to or removes it from the export selection.
+     * 
+     * @param {number} id - The template ID.
+     */
+    const toggleSelected = (id) => {
+        setSelectedIds(selectedIds.includes(id) ? selectedIds.filter(s => s !== id) : [...selectedIds, id]);
+    };
+
+    /**
+     * Exports the selected templates and leaves selection mode.
+     */
+    const exportSelected = () => {
+        onExport(templates.filter(t => selectedIds.includes(t.id)));
+        setSelectedIds(null);
+    };
+
+    /**
+     * Hands the chosen file to the import handler.
+     * The input is reset so choosing the same file again triggers another import.
+     * 
+     * @param {React.ChangeEvent} e - The file input change event.
+     */
+    const handleFileChange = (e) => {
+        const file = e.target.files[0];
+        e.target.value = '';
+        if (file) onImport(file);
+    };
+
+    const toolbarButton = {
+        background: '#f1f2f6',
+        border: 'none',
+        borderRadius: '15px',
+        padding: '5px 12px',
+        color: '#6C5CE7',
+        cursor: 'pointer',
+        fontWeight: 'bold',
+        fontSize: '0.85rem'
+    };
+
     return (
         <>
             {/* Backdrop Overlay */}
@@ -74,6 +161,73 @@ const TemplateSidebar = ({ templates, onLoad, onDelete, isOpen, onClose }) => {
                     </button>
                 </div>
 
+                {/* Import / Export Toolbar */}
+                <div style={{ display: 'flex', gap: '8px', padding: '15px 15px 0', flexWrap: 'wrap' }}>
+                    <button style={toolbarButton} onClick={() => fileInputRef.current.click()}>📥 导入</button>
+                    <input ref={fileInputRef} type="file" accept=".json,application/json" onChange={handleFileChange} style={{ display: 'none' }} />
+                    {templates.length > 0 && (isSelecting ? (
+                        <>
+                            <button style={toolbarButton} disabled={selectedIds.length === 0} onClick={exportSelected}>
+                                导出选中 ({selectedIds.length})
+                            </button>
+                            <button style={{ ...toolbarButton, color: '#b2bec3' }} onClick={() => setSelectedIds(null)}>取消</button>
+                        </>
+                    ) : (
+                        <>
+                            <button style={toolbarButton} onClick={() => onExport(templates)}>📤 导出全部</button>
+                            <button style={toolbarButton} onClick={() => setSelectedIds([])}>选择导出</button>
+                        </>
+                    ))}
+                </div>
+
+                {/* Search, Sort and Filter Chips */}
+                {templates.length > 0 && (
+                    <div style={{ padding: '10px 15px 0' }}>
+                        <div style={{ display: 'flex', gap: '8px' }}>
+                            <input
+                                type="search"
+                                value={query}
+                                onChange={(e) => setQuery(e.target.value)}
+                                placeholder="🔍 搜索名称、任务或提示词"
+                                style={{
+                                    flex: 1,
+                                    minWidth: 0,
+                                    padding: '8px 12px',
+                                    borderRadius: '15px',
+                                    border: '1px solid #dfe6e9',
+                                    fontFamily: 'inherit',
+                                    fontSize: '0.9rem'
+                                }}
+                            />
+                            <select
+                                value={sort}
+                                onChange={(e) => setSort(e.target.value)}
+                                style={{ borderRadius: '15px', border: '1px solid #dfe6e9', padding: '0 8px', fontFamily: 'inherit', color: '#636E72' }}
+                            >
+                                {TEMPLATE_SORTS.map(s => <option key={s.id} value={s.id}>{s.label}</option>)}
+                            </select>
+                        </div>
+                        <div style={{ display: 'flex', flexWrap: 'wrap', gap: '6px', marginTop: '10px', maxHeight: '70px', overflowY: 'auto' }}>
+                            {chips.map(chip => (
+                                <span
+                                    key={chip.key}
+                                    onClick={() => toggleChip(chip.key)}
+                                    style={{
+                                        padding: '3px 10px',
+                                        borderRadius: '12px',
+                                        fontSize: '0.75rem',
+                                        cursor: 'pointer',
+                                        background: chipKeys.includes(chip.key) ? '#6C5CE7' : '#f1f2f6',
+                                        color: chipKeys.includes(chip.key) ? 'white' : '#636E72'
+                                    }}
+                                >
+                                    {chip.label} {chip.count}
+                                </span>
+                            ))}
+                        </div>
+                    </div>
+                )}
+
                 {/* Templates List */}
                 <div style={{ flex: 1, padding: '15px', overflowY: 'auto' }}>
                     {templates.length === 0 ? (
@@ -81,13 +235,19 @@ const TemplateSidebar = ({ templates, onLoad, onDelete, isOpen, onClose }) => {
                             <div style={{ fontSize: '3rem', marginBottom: '10px' }}>📦</div>
                             暂无收藏
                         </div>
+                    ) : visibleTemplates.length === 0 ? (
+                        <div style={{ textAlign: 'center', marginTop: '50px', color: '#b2bec3' }}>
+                            <div style={{ fontSize: '3rem', marginBottom: '10px' }}>🔍</div>
+                            没有匹配的泡泡
+                        </div>
                     ) : (
-                        templates.map((tpl) => (
+                        visibleTemplates.map((tpl) => (
                             <div
                                 key={tpl.id}
-                                onClick={() => onLoad(tpl)}
+                                onClick={() => (isSelecting ? toggleSelected(tpl.id) : onLoad(tpl))}
                                 style={{
                                     background: 'white',
+                                    border: `2px solid ${isSelecting && selectedIds.includes(tpl.id) ? '#6C5CE7' : 'transparent'}`,
                                     padding: '15px',
                                     borderRadius: '20px',
                                     marginBottom: '10px',
@@ -104,9 +264,45 @@ const TemplateSidebar = ({ templates, onLoad, onDelete, isOpen, onClose }) => {
                                     e.currentTarget.style.boxShadow = '0 5px 10px rgba(0,0,0,0.03)';
                                 }}
                             >
-                                <div style={{ fontWeight: 'bold', color: '#2D3436', marginBottom: '5px' }}>{tpl.name}</div>
+                                <div style={{ fontWeight: 'bold', color: '#2D3436', marginBottom: '5px', display: 'flex', gap: '5px' }}>
+                                    {isSelecting && (selectedIds.includes(tpl.id) ? '☑️' : '⬜')}
+                                    <span style={{ flex: 1 }}>{tpl.name}</span>
+                                    <span
+                                        title={tpl.favorite ? '取消置顶' : '收藏并置顶'}
+                                        onClick={(e) => { e.stopPropagation(); onToggleFavorite(tpl.id); }}
+                                        style={{ color: tpl.favorite ? '#fdcb6e' : '#dfe6e9', cursor: 'pointer' }}
+                                    >
+                                        {tpl.favorite ? '★' : '☆'}
+                                    </span>
+                                </div>
+                                {tpl.tags && tpl.tags.length > 0 && (
+                                    <div style={{ display: 'flex', flexWrap: 'wrap', gap: '4px', marginBottom: '5px' }}>
+                                        {tpl.tags.map(tag => (
+                                            <span key={tag} style={{ fontSize: '0.7rem', color: '#6C5CE7', background: '#f1f0ff', borderRadius: '8px', padding: '1px 6px' }}>
+                                                #{tag}
+                                            </span>
+                                        ))}
+                                    </div>
+                                )}
                                 <div style={{ fontSize: '0.8rem', color: '#b2bec3', display: 'flex', justifyContent: 'space-between' }}>
-                                    <span>{new Date(tpl.date).toLocaleDateString()}</span>
+                                    <span>
+                                        {new Date(tpl.date).toLocaleDateString()}
+                                        {tpl.useCount > 0 && ` · 用过 ${tpl.useCount} 次`}
+                                    </span>
+                                    {tpl.version > 1 && (
+                                        <span
+                                            onClick={(e) => { e.stopPropagation(); onShowHistory(tpl); }}
+                                            style={{ color: '#6C5CE7', cursor: 'pointer', marginLeft: '12px' }}
+                                        >
+                                            v{tpl.version} 历史
+                                        </span>
+                                    )}
+                                    <span
+                                        onClick={(e) => { e.stopPropagation(); onExport([tpl]); }}
+                                        style={{ color: '#6C5CE7', cursor: 'pointer', marginLeft: 'auto', marginRight: '12px' }}
+                                    >
+                                        导出
+                                    </span>
                                     <span
                                         onClick={(e) => { e.stopPropagation(); onDelete(tpl.id); }}
                                         style={{ color: '#ff7675', cursor: 'pointer' }}
@@ -0,0 +1,136 @@
+import React, { useState } from 'react';
+import { validateVariables } from '../utils/templateVariables';
+
+/**
+ * @file VariableForm.jsx
+ * @description Modal form that asks for the values of a template's `{{variable}}` placeholders
+ * before the template is loaded. Defaults are prefilled as placeholders and values are validated
+ * by type (see `utils/templateVariables.js`).
+ *
+ * @module Components/VariableForm
+ * @author Feng
+ * @date 2026-10-19
+ */
+
+/** Input types per variable type. */
+const INPUT_TYPES = { text: 'text', number: 'number', date: 'date' };
+
+/**
+ * VariableForm Component.
+ *
+ * @component
+ * @param {Object} props - Component properties.
+ * @param {string} props.templateName - The name of the template being loaded.
+ * @param {Array<Object>} props.variables - The template's variables {name, type, defaultValue}.
+ * @param {Function} props.onSubmit - Callback with the entered values keyed by variable name.
+ * format: (valuesMap) => void
+ * @param {Function} props.onCancel - Callback to cancel loading the template.
+ *
+ * @returns {JSX.Element} The rendered VariableForm component.
+ */
+const VariableForm = ({ templateName, variables, onSubmit, onCancel }) => {
+    /**
+     * @state {Object} values - The entered values keyed by variable name.
+     */
+    const [values, setValues] = useState({});
+
+    /**
+     * @state {Object} errors - Validation errors keyed by variable name.
+     */
+    const [errors, setErrors] = useState({});
+
+    /**
+     * Validates the values and submits them.
+     *
+     * @param {React.FormEvent} e - The submit event.
+     */
+    const handleSubmit = (e) => {
+        e.preventDefault();
+        const found = validateVariables(variables, values);
+        setErrors(found);
+        if (Object.keys(found).length === 0) onSubmit(values);
+    };
+
+    return (
+        <div
+            onClick={onCancel}
+            style={{
+                position: 'fixed',
+                inset: 0,
+                background: 'rgba(45, 52, 54, 0.3)',
+                display: 'flex',
+                alignItems: 'center',
+                justifyContent: 'center',
+                zIndex: 200
+            }}
+        >
+            <form
+                className="pop-in"
+                onClick={(e) => e.stopPropagation()} // Clicks inside the card don't close it
+                onSubmit={handleSubmit}
+                style={{
+                    background: 'white',
+                    borderRadius: '30px',
+                    padding: '30px',
+                    width: 'min(480px, 90vw)',
+                    maxHeight: '80vh',
+                    overflowY: 'auto',
+                    boxShadow: '0 20px 50px rgba(0,0,0,0.15)'
+                }}
+            >
+                <h3 style={{ margin: '0 0 5px', color: '#6C5CE7' }}>填写模板变量 ✏️</h3>
+                <p style={{ margin: '0 0 20px', color: '#636E72', fontSize: '0.9rem' }}>
+                    「{templateName}」里有 {variables.length} 个变量，填写后再生成提示词。
+                </p>
+
+                {variables.map(variable => (
+                    <label key={variable.name} style={{ display: 'block', marginBottom: '15px' }}>
+                        <span style={{ display: 'block', fontWeight: 'bold', color: '#2D3436', marginBottom: '5px' }}>
+                            {variable.name}
+                            {!variable.defaultValue && <span style={{ color: '#d63031', marginLeft: '4px' }}>*</span>}
+                        </span>
+                        <input
+                            type={INPUT_TYPES[variable.type]}
+                            value={values[variable.name] || ''}
+                            onChange={(e) => setValues({ ...values, [variable.name]: e.target.value })}
+                            placeholder={variable.defaultValue ? `默认：${variable.defaultValue}` : ''}
+                            style={{
+                                width: '100%',
+                                padding: '10px 15px',
+                                borderRadius: '15px',
+                                border: `1px solid ${errors[variable.name] ? '#d63031' : '#dfe6e9'}`,
+                                fontFamily: 'inherit',
+                                fontSize: '0.95rem',
+                                boxSizing: 'border-box'
+                            }}
+                        />
+                        {errors[variable.name] && (
+                            <span style={{ color: '#d63031', fontSize: '0.85rem' }}>{errors[variable.name]}</span>
+                        )}
+                    </label>
+                ))}
+
+                <div style={{ display: 'flex', justifyContent: 'flex-end', gap: '10px', marginTop: '10px' }}>
+                    <button
+                        type="button"
+                        onClick={onCancel}
+                        style={{
+                            background: 'transparent',
+                            border: 'none',
+                            color: '#b2bec3',
+                            cursor: 'pointer',
+                            fontWeight: 'bold'
+                        }}
+                    >
+                        取消
+                    </button>
+                    <button type="submit" className="btn-bubble" style={{ padding: '10px 30px', fontSize: '1rem' }}>
+                        使用模板 ✨
+                    </button>
+                </div>
+            </form>
+        </div>
+    );
+};
+
+export default VariableForm;
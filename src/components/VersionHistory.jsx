@@ -0,0 +1,124 @@
+import React, { useState } from 'react';
+import PromptDiff from './PromptDiff';
+import { getVersions } from '../utils/templateVersions';
+
+/**
+ * @file VersionHistory.jsx
+ * @description Modal showing the version history of a saved template.
+ * Any two versions can be compared (see `PromptDiff.jsx`). Older versions can be restored (as a new version).
+ *
+ * @module Components/VersionHistory
+ * @author Feng
+ * @date 2026-10-19
+ */
+
+/**
+ * VersionHistory Component.
+ *
+ * @component
+ * @param {Object} props - Component properties.
+ * @param {Object} props.template - The template whose history is shown.
+ * @param {Function} props.onRestore - Callback to restore an older version.
+ * format: (versionNumber) => void
+ * @param {Function} props.onClose - Callback to close the history.
+ *
+ * @returns {JSX.Element} The rendered VersionHistory component.
+ */
+const VersionHistory = ({ template, onRestore, onClose }) => {
+    const versions = getVersions(template);
+    const current = versions[versions.length - 1];
+
+    /**
+     * @state {number} fromVersion - The older version of the comparison.
+     */
+    const [fromVersion, setFromVersion] = useState(versions.length > 1 ? versions[versions.length - 2].version : current.version);
+
+    /**
+     * @state {number} toVersion - The newer version of the comparison.
+     */
+    const [toVersion, setToVersion] = useState(current.version);
+
+    // Restoring adds a version; fall back to the current one if a chosen version is gone
+    const from = versions.find(v => v.version === fromVersion) || current;
+    const to = versions.find(v => v.version === toVersion) || current;
+
+    const versionSelect = (value, onChange) => (
+        <select
+            value={value}
+            onChange={(e) => onChange(Number(e.target.value))}
+            style={{ borderRadius: '10px', border: '1px solid #dfe6e9', padding: '4px 8px', fontFamily: 'inherit' }}
+        >
+            {versions.map(v => <option key={v.version} value={v.version}>v{v.version}</option>)}
+        </select>
+    );
+
+    return (
+        <div
+            onClick={onClose}
+            style={{
+                position: 'fixed',
+                inset: 0,
+                background: 'rgba(45, 52, 54, 0.3)',
+                display: 'flex',
+                alignItems: 'center',
+                justifyContent: 'center',
+                zIndex: 1100
+            }}
+        >
+            <div
+                className="pop-in"
+                onClick={(e) => e.stopPropagation()} // Clicks inside the card don't close it
+                style={{
+                    background: 'white',
+                    borderRadius: '30px',
+                    padding: '30px',
+                    width: 'min(760px, 92vw)',
+                    maxHeight: '85vh',
+                    overflowY: 'auto',
+                    boxShadow: '0 20px 50px rgba(0,0,0,0.15)'
+                }}
+            >
+                <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '15px' }}>
+                    <h3 style={{ margin: 0, color: '#6C5CE7' }}>🕰️ 「{template.name}」的版本历史</h3>
+                    <button
+                        onClick={onClose}
+                        style={{ background: 'transparent', border: 'none', color: '#b2bec3', cursor: 'pointer', fontSize: '1.2rem' }}
+                    >
+                        ×
+                    </button>
+                </div>
+
+                {/* Version List */}
+                <ul style={{ listStyle: 'none', margin: '0 0 20px', padding: 0, display: 'flex', flexDirection: 'column', gap: '6px' }}>
+                    {[...versions].reverse().map(v => (
+                        <li key={v.version} style={{ display: 'flex', alignItems: 'center', gap: '10px', fontSize: '0.9rem', color: '#2D3436' }}>
+                            <span style={{ fontWeight: 'bold', width: '40px' }}>v{v.version}</span>
+                            <span style={{ color: '#b2bec3' }}>{new Date(v.date).toLocaleString()}</span>
+                            {v.restoredFrom && <span style={{ color: '#636E72' }}>恢复自 v{v.restoredFrom}</span>}
+                            <span style={{ flex: 1 }} />
+                            {v === current ? (
+                                <span style={{ color: '#00b894', fontWeight: 'bold' }}>当前</span>
+                            ) : (
+                                <button
+                                    onClick={() => onRestore(v.version)}
+                                    style={{ background: 'transparent', border: 'none', color: '#6C5CE7', cursor: 'pointer', fontWeight: 'bold' }}
+                                >
+                                    恢复
+                                </button>
+                            )}
+                        </li>
+                    ))}
+                </ul>
+
+                {/* Comparison */}
+                <div style={{ display: 'flex', alignItems: 'center', gap: '8px', marginBottom: '10px', color: '#636E72' }}>
+                    对比 {versionSelect(from.version, setFromVersion)} → {versionSelect(to.version, setToVersion)}
+                </div>
+
+                <PromptDiff before={from} after={to} />
+            </div>
+        </div>
+    );
+};
+
+export default VersionHistory;
@@ -1,9 +1,20 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
+import QuestionInput from './QuestionInput';
+import { formatAnswer, hasAnswer } from '../utils/answerFormat';
+import { visibleQuestions } from '../utils/conditions';
+import { validateAnswer, validateAnswers } from '../utils/validation';
 
 /**
  * @file Wizard.jsx
  * @description A step-by-step wizard component that guides the user through questions
  * to collect detailed requirements for the prompt generation.
+ * Each question is answered with the control matching its `type` (see `QuestionInput.jsx`).
+ * Supports moving back and forth between questions, jumping via the progress dots,
+ * and a review screen where every answer can be changed before completing.
+ * Follow-up questions with a `showIf` condition appear and disappear as the answers change.
+ * Answers are validated against the question's rules (see `utils/validation.js`); invalid
+ * answers show an inline error and block advancing, and required questions can't be skipped.
+ * The current position and answers are reported as they change, so the session can be autosaved.
  * 
  * @module Components/Wizard
  * @author Feng
@@ -15,60 +26,250 @@ import React, { useState } from 'react';
  * 
  * @component
  * @param {Object} props - Component properties.
- * @param {Array<Object>} props.questions - List of question objects to display.
- * @param {Function} props.onComplete - Callback function when all questions are answered/skipped.
+ * @param {Array<Object>} props.questions - List of question objects to display (including conditional follow-ups).
+ * @param {string} [props.taskType] - The confirmed task type, used by `showIf` conditions.
+ * @param {Object} [props.initialAnswers] - Previously collected answers to prefill, keyed by question id.
+ * @param {number} [props.initialIndex=0] - The question to open with; `questions.length` opens the review screen.
+ * @param {Function} props.onComplete - Callback function when the answers are confirmed on the review screen.
  * format: (answersMap) => void
+ * @param {Function} [props.onBack] - Callback to leave the wizard from the first question.
+ * @param {Function} [props.onProgress] - Callback with the current position and answers whenever they change.
+ * format: ({ index, answers }) => void, where index is `questions.length` on the review screen
  * 
  * @returns {JSX.Element} The rendered Wizard component.
  */
-const Wizard = ({ questions, onComplete }) => {
+const Wizard = ({ questions, taskType, initialAnswers = {}, initialIndex = 0, onComplete, onBack, onProgress }) => {
   // =========================================================================================
   // State
   // =========================================================================================
 
   /** 
-   * @state {number} currentIndex - Index of the currently displayed question. 
+   * @state {number} questionIndex - Index of the currently displayed question among the visible ones (past the end is the review screen). 
    */
-  const [currentIndex, setCurrentIndex] = useState(0);
+  const [questionIndex, setQuestionIndex] = useState(initialIndex);
 
   /** 
-   * @state {Object} answers - Accumulator for user's answers. 
+   * @state {Object} answers - Accumulator for user's answers, including the one being typed. 
    */
-  const [answers, setAnswers] = useState({});
+  const [answers, setAnswers] = useState(initialAnswers);
 
   /** 
-   * @state {string} currentAnswer - The current value in the text area. 
+   * @state {boolean} hasReviewed - Whether the review screen was reached, enabling the shortcut back to it. 
    */
-  const [currentAnswer, setCurrentAnswer] = useState('');
+  const [hasReviewed, setHasReviewed] = useState(initialIndex >= questions.length);
 
-  const currentQuestion = questions[currentIndex];
+  /** 
+   * @state {Object} errors - Validation errors keyed by question id. 
+   */
+  const [errors, setErrors] = useState({});
+
+  // Only the questions whose conditions hold are asked; the list follows the answers
+  const activeQuestions = visibleQuestions(questions, { answers, taskType });
+  const currentIndex = Math.min(questionIndex, activeQuestions.length);
+  const isReview = currentIndex >= activeQuestions.length;
+  const currentQuestion = activeQuestions[currentIndex];
+  const currentAnswer = isReview ? undefined : answers[currentQuestion.id];
+
+  // The review screen is reported as `questions.length`, so reopening at that index shows it again
+  const progressIndex = isReview ? questions.length : currentIndex;
+  useEffect(() => {
+    if (onProgress) onProgress({ index: progressIndex, answers });
+  }, [progressIndex, answers, onProgress]);
 
-  // Calculate progress percentage for visual indicator
-  const progress = ((currentIndex + 1) / questions.length) * 100;
+  /**
+   * Updates the answer to the current question.
+   * 
+   * @param {*} value - The answer value (string, array, number or boolean depending on the question type).
+   */
+  const setCurrentAnswer = (value) => {
+    setAnswers(prev => ({ ...prev, [currentQuestion.id]: value }));
+    setErrors(prev => {
+      const { [currentQuestion.id]: _fixed, ...rest } = prev;
+      return rest;
+    });
+  };
+
+  /**
+   * Moves to a question (or the review screen).
+   * 
+   * @param {number} index - The target index; `activeQuestions.length` is the review screen.
+   */
+  const goTo = (index) => {
+    if (index >= activeQuestions.length) setHasReviewed(true);
+    setQuestionIndex(Math.max(0, Math.min(index, activeQuestions.length)));
+  };
 
   /**
    * Handles navigation to the next question.
-   * Saves the current answer (unless skipped) and advances the index.
-   * If it's the last question, triggers onComplete.
+   * Skipping clears the current answer; a slider left untouched keeps the value it shows.
+   * An invalid answer shows its error instead of advancing.
+   * After the last question the review screen is shown.
    * 
    * @param {boolean} skip - Whether the user chose to skip the current question.
    */
   const handleNext = (skip = false) => {
-    const newAnswers = { ...answers };
-    if (!skip && currentAnswer.trim()) {
-      newAnswers[currentQuestion.id] = currentAnswer;
+    if (skip) {
+      const { [currentQuestion.id]: _skipped, ...rest } = answers;
+      setAnswers(rest);
+    } else {
+      const sliderDefault = currentQuestion.type === 'range' && !hasAnswer(currentAnswer);
+      const value = sliderDefault ? (currentQuestion.defaultValue ?? currentQuestion.min ?? 0) : currentAnswer;
+      const error = validateAnswer(currentQuestion, value);
+      if (error) {
+        setErrors(prev => ({ ...prev, [currentQuestion.id]: error }));
+        return;
+      }
+      if (sliderDefault) setCurrentAnswer(value);
     }
+    goTo(currentIndex + 1);
+  };
 
-    setAnswers(newAnswers);
-    setCurrentAnswer('');
+  /**
+   * Handles navigation to the previous question, or out of the wizard from the first one.
+   */
+  const handlePrev = () => {
+    if (currentIndex === 0) {
+      if (onBack) onBack();
+      return;
+    }
+    goTo(currentIndex - 1);
+  };
 
-    if (currentIndex < questions.length - 1) {
-      setCurrentIndex(currentIndex + 1);
-    } else {
-      onComplete(newAnswers);
+  /**
+   * Confirms the answers on the review screen.
+   * If any answer is invalid (e.g., a required question was jumped over), opens the first such question instead.
+   * Only the non-empty answers to the visible questions are passed on.
+   */
+  const handleComplete = () => {
+    const invalid = validateAnswers(activeQuestions, answers);
+    const firstInvalid = activeQuestions.findIndex(q => invalid[q.id]);
+    if (firstInvalid !== -1) {
+      setErrors(invalid);
+      goTo(firstInvalid);
+      return;
     }
+
+    // Answers to questions that ended up hidden are dropped
+    const collected = {};
+    activeQuestions.forEach(q => {
+      if (hasAnswer(answers[q.id])) collected[q.id] = answers[q.id];
+    });
+    onComplete(collected);
+  };
+
+  /** Shared style for the secondary (text-only) navigation buttons. */
+  const linkButtonStyle = {
+    padding: '10px 20px',
+    borderRadius: '30px',
+    border: 'none',
+    background: 'transparent',
+    color: '#b2bec3',
+    cursor: 'pointer',
+    fontWeight: 'bold'
   };
 
+  /**
+   * Renders the clickable progress dots; the last dot stands for the review screen.
+   * 
+   * @returns {JSX.Element} The progress indicator.
+   */
+  const renderProgress = () => (
+    <div style={{ display: 'flex', gap: '5px', alignItems: 'center' }}>
+      {activeQuestions.map((q, i) => (
+        <button
+          key={q.id}
+          onClick={() => goTo(i)}
+          title={q.text}
+          aria-label={`第 ${i + 1} 题`}
+          style={{
+            width: i === currentIndex ? '14px' : '10px',
+            height: i === currentIndex ? '14px' : '10px',
+            padding: 0,
+            border: 'none',
+            borderRadius: '50%',
+            cursor: 'pointer',
+            background: errors[q.id] ? '#d63031' : (i <= currentIndex || hasAnswer(answers[q.id]) ? '#6C5CE7' : '#dfe6e9'),
+            transition: 'all 0.3s'
+          }}
+        />
+      ))}
+      <button
+        onClick={() => goTo(activeQuestions.length)}
+        title="确认答案"
+        aria-label="确认答案"
+        style={{
+          padding: '0 4px',
+          border: 'none',
+          background: 'transparent',
+          cursor: 'pointer',
+          color: isReview ? '#6C5CE7' : '#b2bec3',
+          fontWeight: 'bold'
+        }}
+      >
+        ✓
+      </button>
+    </div>
+  );
+
+  if (isReview) {
+    return (
+      <div style={{ flex: 1, display: 'flex', flexDirection: 'column', padding: '20px' }}>
+        <div className="pop-in" style={{ textAlign: 'center', marginBottom: '30px' }}>
+          <h3 style={{ fontSize: '1.8rem', color: '#2D3436', marginBottom: '10px' }}>
+            确认一下你的回答 📝
+          </h3>
+          <p style={{ color: '#636E72', fontSize: '1.1rem' }}>
+            点击任意一题即可修改
+          </p>
+        </div>
+
+        {/* Answer Review List */}
+        <div style={{ flex: 1, display: 'flex', flexDirection: 'column', gap: '12px' }}>
+          {activeQuestions.map((q, i) => {
+            const value = formatAnswer(answers[q.id], q);
+            return (
+              <div
+                key={q.id}
+                onClick={() => goTo(i)}
+                className="pop-in"
+                style={{
+                  background: 'rgba(255,255,255,0.7)',
+                  borderRadius: '20px',
+                  padding: '12px 20px',
+                  cursor: 'pointer',
+                  textAlign: 'left'
+                }}
+              >
+                <div style={{ fontSize: '0.85rem', color: '#636E72', fontWeight: 'bold', marginBottom: '4px' }}>
+                  {q.text}
+                </div>
+                <div style={{ color: value ? '#2D3436' : '#b2bec3', whiteSpace: 'pre-wrap' }}>
+                  {value || (q.required ? '未回答（必填）' : '未回答（已跳过）')}
+                </div>
+              </div>
+            );
+          })}
+        </div>
+
+        <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginTop: '20px' }}>
+          {renderProgress()}
+          <div style={{ display: 'flex', gap: '15px' }}>
+            <button onClick={() => goTo(activeQuestions.length - 1)} style={linkButtonStyle}>
+              {'<- 上一步'}
+            </button>
+            <button
+              onClick={handleComplete}
+              className="btn-bubble"
+              style={{ padding: '10px 30px', fontSize: '1rem' }}
+            >
+              完成 ✨
+            </button>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
   return (
     <div style={{ flex: 1, display: 'flex', flexDirection: 'column', padding: '20px' }}>
 
@@ -76,6 +277,7 @@ const Wizard = ({ questions, onComplete }) => {
       <div className="pop-in" style={{ textAlign: 'center', marginBottom: '40px' }}>
         <h3 style={{ fontSize: '1.8rem', color: '#2D3436', marginBottom: '10px' }}>
           {currentQuestion.text}
+          {currentQuestion.required && <span style={{ color: '#d63031', marginLeft: '6px' }} title="必填">*</span>}
         </h3>
         <p style={{ color: '#636E72', fontSize: '1.1rem' }}>
           {currentQuestion.subText}
@@ -83,62 +285,49 @@ const Wizard = ({ questions, onComplete }) => {
       </div>
 
       {/* Answer Input Area */}
-      <div style={{ flex: 1, display: 'flex', justifyContent: 'center' }}>
-        <textarea
+      <div style={{ flex: 1, display: 'flex', justifyContent: 'center', alignItems: 'flex-start' }}>
+        <QuestionInput
+          key={currentQuestion.id}
+          question={currentQuestion}
           value={currentAnswer}
-          onChange={(e) => setCurrentAnswer(e.target.value)}
-          placeholder="请输入回答..."
-          className="input-bubble"
-          style={{
-            width: '100%',
-            height: '200px',
-            resize: 'none',
-            borderRadius: '30px',
-            marginBottom: '20px',
-            boxSizing: 'border-box',
-            padding: '15px',
-            fontFamily: 'inherit',
-            fontSize: '1rem',
-            lineHeight: '1.5'
-          }}
-          autoFocus
+          onChange={setCurrentAnswer}
         />
       </div>
 
+      {/* Inline Validation Error */}
+      {errors[currentQuestion.id] && (
+        <p className="pop-in" style={{ color: '#d63031', textAlign: 'center', fontWeight: 'bold', margin: '0 0 10px' }}>
+          ⚠️ {errors[currentQuestion.id]}
+        </p>
+      )}
+
       {/* Footer Navigation and Progress */}
       <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginTop: '20px' }}>
-        {/* Progress Bubbles Indicator */}
-        <div style={{ display: 'flex', gap: '5px' }}>
-          {questions.map((_, i) => (
-            <div key={i} style={{
-              width: '10px', height: '10px', borderRadius: '50%',
-              background: i <= currentIndex ? '#6C5CE7' : '#dfe6e9',
-              transition: 'background 0.3s'
-            }} />
-          ))}
-        </div>
+        {/* Progress Bubbles Indicator (click to jump) */}
+        {renderProgress()}
 
         <div style={{ display: 'flex', gap: '15px' }}>
-          <button
-            onClick={() => handleNext(true)}
-            style={{
-              padding: '10px 20px',
-              borderRadius: '30px',
-              border: 'none',
-              background: 'transparent',
-              color: '#b2bec3',
-              cursor: 'pointer',
-              fontWeight: 'bold'
-            }}
-          >
-            跳过
-          </button>
+          {(currentIndex > 0 || onBack) && (
+            <button onClick={handlePrev} style={linkButtonStyle}>
+              {'<- 上一步'}
+            </button>
+          )}
+          {!currentQuestion.required && (
+            <button onClick={() => handleNext(true)} style={linkButtonStyle}>
+              跳过
+            </button>
+          )}
+          {hasReviewed && currentIndex < activeQuestions.length - 1 && (
+            <button onClick={() => goTo(activeQuestions.length)} style={linkButtonStyle}>
+              回到确认页
+            </button>
+          )}
           <button
             onClick={() => handleNext(false)}
             className="btn-bubble"
             style={{ padding: '10px 30px', fontSize: '1rem' }}
           >
-            {currentIndex === questions.length - 1 ? '完成 ✨' : '下一步 ->'}
+            {currentIndex === activeQuestions.length - 1 ? '检查答案 ->' : '下一步 ->'}
           </button>
         </div>
       </div>
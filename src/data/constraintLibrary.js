@@ -0,0 +1,21 @@
+/**
+ * @file constraintLibrary.js
+ * @description A library of commonly used prompt constraints offered by the constraint editor.
+ * Each entry has a short chip `label` and the rule `text` added to the prompt; the text can be
+ * edited after it has been added (e.g., to adjust the word limit).
+ *
+ * @module Data/ConstraintLibrary
+ * @author Feng
+ * @date 2026-10-19
+ */
+
+export const constraintLibrary = [
+    { id: 'word_limit', label: '字数限制', text: '全文字数控制在 500 字以内。' },
+    { id: 'banned_words', label: '禁用词', text: '禁止使用以下词汇：（在此填写）。' },
+    { id: 'no_emoji', label: '不用表情', text: '不要使用任何 emoji 表情符号。' },
+    { id: 'cite_sources', label: '注明出处', text: '引用数据或观点时注明来源。' },
+    { id: 'simplified_chinese', label: '简体中文', text: '全程使用简体中文回答。' },
+    { id: 'no_jargon', label: '少用术语', text: '避免使用专业术语，必要时给出通俗解释。' },
+    { id: 'bullet_points', label: '分点作答', text: '分点作答，每点不超过两句话。' },
+    { id: 'ask_first', label: '先提问', text: '信息不足时先向我提问，不要自行假设。' }
+];
@@ -0,0 +1,268 @@
+/**
+ * @file promptStrings.js
+ * @description Per-locale string tables for the prompt scaffold and the prompt presets.
+ * Every string the prompt engine writes on its own lives here; the user's own answers
+ * are never translated. Values may be strings, arrays of strings, or functions taking
+ * parameters (e.g., the persona or tone) and returning a string or an array of strings.
+ * Functions receive an empty string when the user gave no value and supply their own default.
+ *
+ * The `bilingual` table only holds overrides: any key missing from it is rendered by
+ * combining the `zh` and `en` values as "中文 / English".
+ *
+ * @module Data/PromptStrings
+ * @author Feng
+ * @date 2026-10-19
+ */
+
+export const promptStrings = {
+    zh: {
+        sections: {
+            role: '角色设定',
+            task: '核心任务 (CO-STAR)',
+            userInputs: '用户输入信息',
+            chainOfThought: '思考链路',
+            constraints: '限制条件与质量控制',
+            reply: '请在下方生成回复'
+        },
+        fields: {
+            context: '背景 (Context)',
+            objective: '目标 (Objective)',
+            style: '风格 (Style)',
+            tone: '语气 (Tone)',
+            audience: '受众 (Audience)',
+            response: '格式 (Response)'
+        },
+        defaults: {
+            style: '专业、清晰',
+            tone: '自然得体',
+            audience: '普通用户',
+            response: '结构化 Markdown',
+            constraints: '无特殊限制。'
+        },
+        listSeparator: '、',
+        answers: { yes: '是', no: '否' },
+        roleLine: ({ role, industries, years }) =>
+            `你是一位${years ? `拥有 ${years} 年经验的` : ''} ${industries || '通用'} 领域的${role || '专家'}。`,
+        contextLine: (industries) => `服务于 ${industries || '目标'} 行业。`,
+        chainOfThought: (tone) => [
+            '分析用户的核心目标和受众群体。',
+            '识别关键限制条件和风格要求。',
+            '构思内容结构，确保逻辑清晰、重点突出。',
+            `调整语气以匹配用户要求的语气：${tone || '自然得体'}。`,
+            '按照指定格式输出最终结果。'
+        ],
+        qualityRules: (tone) => [
+            '严禁捏造事实。',
+            '确保输出内容可直接用于生产环境。',
+            `保持 ${tone || '自然得体'} 的语调。`
+        ],
+        presets: {
+            marketing: {
+                expertise: '擅长洞察用户心理，熟悉各大内容平台的传播规律。',
+                constraints: [
+                    '使用具有说服力的心理学技巧 (如 FOMO, 社会认同)。',
+                    '强调产品/服务带来的利益，而非仅仅列举功能。'
+                ],
+                responseFormat: '文案格式 (标题 + 正文 + 行动号召)'
+            },
+            coding: {
+                expertise: '拥有丰富的软件工程实践经验，注重代码质量与可维护性。',
+                constraints: [
+                    '遵循 Clean Code 代码规范。',
+                    '为复杂的逻辑添加中文注释。'
+                ],
+                responseFormat: '代码块 + Markdown 解释'
+            },
+            academic: {
+                expertise: '熟悉学术写作规范与同行评审标准。',
+                constraints: [
+                    '使用严谨的学术语言。',
+                    '如有引用，请注明来源。'
+                ],
+                responseFormat: '学术论文结构 (摘要, 引言, 主体, 结论)'
+            },
+            email: {
+                expertise: '擅长职场沟通，熟悉商务邮件礼仪。',
+                constraints: [
+                    '开门见山回应对方的核心诉求，避免冗长寒暄。',
+                    '措辞得体礼貌，拒绝或催促时保持委婉。'
+                ],
+                responseFormat: '邮件格式 (主题 + 称呼 + 正文 + 结尾敬语 + 署名)'
+            },
+            weeklyReport: {
+                expertise: '擅长提炼工作成果，熟悉向上汇报的表达方式。',
+                constraints: [
+                    '突出成果与价值，尽量用数据量化进展。',
+                    '不得编造未提供的工作内容。'
+                ],
+                responseFormat: '周报结构 (本周完成 + 问题与风险 + 下周计划)'
+            },
+            eventPlanning: {
+                expertise: '具备丰富的活动策划与执行经验，熟悉预算与流程管控。',
+                constraints: [
+                    '方案必须可落地，列明时间节点与负责人。',
+                    '给出预算分配建议，并考虑风险预案。'
+                ],
+                responseFormat: '策划方案 (活动目标 + 流程安排 + 预算明细 + 风险预案)'
+            },
+            translation: {
+                expertise: '精通中英双语，熟悉专业术语的规范译法。',
+                constraints: [
+                    '忠实原文含义，不增删信息。',
+                    '译文符合目标语言的表达习惯，避免翻译腔。'
+                ],
+                responseFormat: '译文 + 关键术语对照表'
+            },
+            dataAnalysis: {
+                expertise: '精通统计分析与数据可视化，善于从数据中提炼业务洞察。',
+                constraints: [
+                    '结论必须有数据支撑，注明计算口径。',
+                    '区分相关性与因果关系，指出数据局限。'
+                ],
+                responseFormat: '分析报告 (核心结论 + 数据解读 + 可视化建议 + 行动建议)'
+            },
+            customerSupport: {
+                expertise: '拥有多年客户服务经验，擅长安抚情绪并高效解决问题。',
+                constraints: [
+                    '先共情再解决问题，语气耐心友善。',
+                    '不得承诺超出政策范围的补偿或处理方案。'
+                ],
+                responseFormat: '客服回复 (致歉/共情 + 问题说明 + 解决方案 + 后续跟进)'
+            }
+        }
+    },
+
+    en: {
+        sections: {
+            role: 'System Role',
+            task: 'Core Task (CO-STAR)',
+            userInputs: 'User Inputs',
+            chainOfThought: 'Chain of Thought',
+            constraints: 'Constraints & Quality Control',
+            reply: 'Write your response below'
+        },
+        fields: {
+            context: 'Context',
+            objective: 'Objective',
+            style: 'Style',
+            tone: 'Tone',
+            audience: 'Audience',
+            response: 'Response'
+        },
+        defaults: {
+            style: 'Professional, clear',
+            tone: 'Natural and appropriate',
+            audience: 'General users',
+            response: 'Structured Markdown',
+            constraints: 'No special constraints.'
+        },
+        listSeparator: ', ',
+        answers: { yes: 'Yes', no: 'No' },
+        roleLine: ({ role, industries, years }) =>
+            `You are an expert in the ${industries || 'general'} field${years ? ` with ${years} years of experience` : ''}.`
+            + (role ? ` Your role: ${role}.` : ''),
+        contextLine: (industries) => `Serving the ${industries || 'target'} industry.`,
+        chainOfThought: (tone) => [
+            'Analyze the core objective and the target audience.',
+            'Identify the key constraints and style requirements.',
+            'Plan the structure so the logic is clear and the key points stand out.',
+            `Adjust the tone to match the requested tone: ${tone || 'natural and appropriate'}.`,
+            'Produce the final result in the specified format.'
+        ],
+        qualityRules: (tone) => [
+            'Do not fabricate facts (no hallucination).',
+            'Make sure the output is ready for production use.',
+            `Keep a ${tone || 'natural and appropriate'} tone throughout.`
+        ],
+        presets: {
+            marketing: {
+                expertise: 'You understand audience psychology and how content spreads on major platforms.',
+                constraints: [
+                    'Use persuasive psychological techniques (e.g., FOMO, social proof).',
+                    'Emphasize the benefits of the product/service rather than just listing features.'
+                ],
+                responseFormat: 'Copy format (headline + body + call to action)'
+            },
+            coding: {
+                expertise: 'You have extensive software engineering experience and care about code quality and maintainability.',
+                constraints: [
+                    'Follow Clean Code conventions.',
+                    'Add comments to complex logic.'
+                ],
+                responseFormat: 'Code blocks + Markdown explanation'
+            },
+            academic: {
+                expertise: 'You are familiar with academic writing conventions and peer review standards.',
+                constraints: [
+                    'Use rigorous academic language.',
+                    'Cite sources for any references.'
+                ],
+                responseFormat: 'Academic paper structure (abstract, introduction, body, conclusion)'
+            },
+            email: {
+                expertise: 'You excel at workplace communication and business email etiquette.',
+                constraints: [
+                    'Address the core request directly and avoid lengthy pleasantries.',
+                    'Stay polite and tactful, especially when declining or following up.'
+                ],
+                responseFormat: 'Email format (subject + greeting + body + closing + signature)'
+            },
+            weeklyReport: {
+                expertise: 'You are good at distilling work results and reporting them to management.',
+                constraints: [
+                    'Highlight outcomes and value, and quantify progress with data where possible.',
+                    'Do not invent work that was not provided.'
+                ],
+                responseFormat: 'Report structure (done this week + issues & risks + next week\'s plan)'
+            },
+            eventPlanning: {
+                expertise: 'You have rich experience planning and running events, including budget and schedule control.',
+                constraints: [
+                    'The plan must be actionable, with milestones and owners.',
+                    'Suggest a budget breakdown and include contingency plans.'
+                ],
+                responseFormat: 'Event plan (goals + schedule + budget details + contingency plans)'
+            },
+            translation: {
+                expertise: 'You are fluent in Chinese and English and know the standard translations of technical terms.',
+                constraints: [
+                    'Stay faithful to the source meaning without adding or omitting information.',
+                    'Make the translation read naturally in the target language.'
+                ],
+                responseFormat: 'Translation + glossary of key terms'
+            },
+            dataAnalysis: {
+                expertise: 'You are skilled in statistical analysis and data visualization, and turn data into business insights.',
+                constraints: [
+                    'Back every conclusion with data and state how metrics are calculated.',
+                    'Distinguish correlation from causation and point out data limitations.'
+                ],
+                responseFormat: 'Analysis report (key findings + data interpretation + visualization ideas + recommendations)'
+            },
+            customerSupport: {
+                expertise: 'You have years of customer service experience, calming customers down and solving problems efficiently.',
+                constraints: [
+                    'Show empathy first, then solve the problem, staying patient and friendly.',
+                    'Do not promise compensation or solutions beyond policy.'
+                ],
+                responseFormat: 'Support reply (apology/empathy + explanation + solution + follow-up)'
+            }
+        }
+    },
+
+    bilingual: {
+        sections: {
+            task: '核心任务 / Core Task (CO-STAR)'
+        },
+        // CO-STAR field labels already carry their English gloss
+        fields: {
+            context: '背景 (Context)',
+            objective: '目标 (Objective)',
+            style: '风格 (Style)',
+            tone: '语气 (Tone)',
+            audience: '受众 (Audience)',
+            response: '格式 (Response)'
+        },
+        listSeparator: '、'
+    }
+};
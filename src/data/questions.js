@@ -1,7 +1,38 @@
+/**
+ * @file questions.js
+ * @description The question bank used by the Wizard step.
+ * Every question is tagged with a `category`; the question planner picks questions
+ * by category according to the `questionCategories` of the detected task type (see `data/taskTypes.js`).
+ * To add a question, append it here with an existing (or new) category — no code changes needed.
+ * `label` / `labelEn` are the short names used for the answer in the generated prompt.
+ *
+ * `type` selects the Wizard control and the shape of the stored answer (see `utils/answerFormat.js`):
+ * - `text`: free text.
+ * - `select`: one of `options`; with `allowOther` the user may also type their own answer.
+ * - `multiselect`: any number of `options`, stored as an array.
+ * - `number`: a number between optional `min` / `max`, shown with `unit` (`unitEn` in English prompts).
+ * - `range`: a slider from `min` to `max` in `step`s, starting at `defaultValue`; also uses `unit` / `unitEn`.
+ * - `boolean`: yes or no; `trueLabel` / `falseLabel` name the two choices in the Wizard.
+ *
+ * Validation rules (optional, see `utils/validation.js`): `required`, `minLength` / `maxLength`
+ * (characters, or number of choices for multi-select), `pattern` (a regular expression string),
+ * and `messages` to override the error message of a rule.
+ *
+ * `showIf` (optional) makes a question a follow-up that is only asked when the condition holds,
+ * e.g. `{ q_platform: '小红书' }` or `{ taskType: 'MarketingCopy' }` (see `utils/conditions.js`).
+ * Follow-ups must come after the questions they depend on.
+ *
+ * @module Data/Questions
+ * @author Feng
+ * @date 2026-02-04
+ */
+
 export const questions = [
     {
         id: 'q_audience',
         text: '目标受众是谁？',
+        label: '目标受众',
+        labelEn: 'Target audience',
         subText: '例如：Z世代、家庭主妇、IT从业者...',
         category: 'general',
         type: 'text'
@@ -9,13 +40,27 @@ export const questions = [
     {
         id: 'q_goal',
         text: '核心目标是什么？',
+        label: '核心目标',
+        labelEn: 'Core goal',
         subText: '例如：增加销量、提升品牌知名度、解决Bug...',
         category: 'general',
         type: 'text'
     },
+    {
+        id: 'q_cta',
+        text: '希望读者看完后做什么？',
+        label: '行动号召',
+        labelEn: 'Call to action',
+        subText: '例如：点击链接领券、关注账号、到店体验...',
+        category: 'general',
+        type: 'text',
+        showIf: { taskType: 'MarketingCopy' }
+    },
     {
         id: 'q_tone',
         text: '期望的语气口吻？',
+        label: '期望语气',
+        labelEn: 'Desired tone',
         subText: '例如：幽默、严肃、亲切、高冷...',
         category: 'writing',
         type: 'text'
@@ -23,36 +68,342 @@ export const questions = [
     {
         id: 'q_platform',
         text: '发布平台在哪里？',
-        subText: '例如：小红书、微信公众号、公司内部邮件...',
+        label: '发布平台',
+        labelEn: 'Platform',
+        subText: '选择一个平台，或填写其他平台（如公司内部邮件）',
         category: 'marketing',
-        type: 'text'
+        type: 'select',
+        options: ['小红书', '抖音', '微信公众号', '微博', '知乎', 'B站'],
+        allowOther: true
+    },
+    {
+        id: 'q_hashtags',
+        text: '小红书话题标签怎么打？',
+        label: '话题标签策略',
+        labelEn: 'Hashtag strategy',
+        subText: '例如：3-5 个热门话题 + 1 个品牌话题，放在文末',
+        category: 'marketing',
+        type: 'text',
+        showIf: { q_platform: '小红书' },
+        maxLength: 200
     },
     {
         id: 'q_constraints',
         text: '有什么限制条件吗？',
+        label: '限制条件',
+        labelEn: 'Constraints',
         subText: '例如：字数限制、避讳词、预算上限...',
         category: 'planning',
         type: 'text'
     },
+    {
+        id: 'q_lang',
+        text: '使用什么编程语言？',
+        label: '编程语言',
+        labelEn: 'Programming language',
+        subText: '选择一种语言，或填写其他语言',
+        category: 'technical',
+        type: 'select',
+        options: ['Python', 'JavaScript', 'TypeScript', 'Java', 'Go', 'C++', 'Rust', 'SQL'],
+        allowOther: true
+    },
+    {
+        id: 'q_python_version',
+        text: '使用哪个 Python 版本？',
+        label: 'Python 版本',
+        labelEn: 'Python version',
+        subText: '选择版本，或填写其他版本',
+        category: 'technical',
+        type: 'select',
+        options: ['3.13', '3.12', '3.11', '3.10', '3.8'],
+        allowOther: true,
+        showIf: { q_lang: 'Python' },
+        pattern: '^\\d+(\\.\\d+)*$',
+        messages: { pattern: '请输入版本号，例如：3.12' }
+    },
+    {
+        id: 'q_func',
+        text: '需要实现什么功能？',
+        label: '功能需求',
+        labelEn: 'Required functionality',
+        subText: '例如：数据清洗、网页爬虫、排序算法...',
+        category: 'technical',
+        type: 'text',
+        required: true,
+        minLength: 4,
+        messages: { minLength: '再具体一点吧，至少描述 4 个字' }
+    },
     {
         id: 'q_tech_stack',
         text: '使用什么技术栈？',
-        subText: '例如：React, Python, AWS...',
+        label: '技术栈',
+        labelEn: 'Tech stack',
+        subText: '例如：React, Pandas, AWS...',
         category: 'technical',
         type: 'text'
     },
+    {
+        id: 'q_unit_tests',
+        text: '需要附带单元测试吗？',
+        label: '单元测试',
+        labelEn: 'Unit tests',
+        subText: '生成代码时一并编写测试用例',
+        category: 'technical',
+        type: 'boolean',
+        trueLabel: '需要',
+        falseLabel: '不需要'
+    },
     {
         id: 'q_length',
         text: '大致篇幅要求？',
-        subText: '例如：短小精悍（100字）、详细长文（2000字）...',
+        label: '篇幅要求',
+        labelEn: 'Length',
+        subText: '拖动滑块选择大致字数，短小精悍约 100 字，详细长文约 2000 字',
         category: 'writing',
-        type: 'text'
+        type: 'range',
+        min: 50,
+        max: 3000,
+        step: 50,
+        defaultValue: 500,
+        unit: '字',
+        unitEn: 'characters'
     },
     {
         id: 'q_scene',
         text: '使用场景是什么？',
+        label: '使用场景',
+        labelEn: 'Usage scenario',
         subText: '例如：早高峰地铁、睡前阅读、会议室演讲...',
         category: 'marketing',
         type: 'text'
+    },
+    {
+        id: 'q_detail',
+        text: '还有哪些具体细节？',
+        label: '补充细节',
+        labelEn: 'Additional details',
+        subText: '补充更多关于任务的背景信息',
+        category: 'detail',
+        type: 'text'
+    },
+    {
+        id: 'q_format',
+        text: '希望的输出格式？',
+        label: '输出格式',
+        labelEn: 'Output format',
+        subText: '例如：列表、表格、纯文本...',
+        category: 'output',
+        type: 'select',
+        options: ['列表', '表格', '纯文本', 'Markdown 文档', '代码块'],
+        allowOther: true
+    },
+    {
+        id: 'q_discipline',
+        text: '所属学科领域？',
+        label: '学科领域',
+        labelEn: 'Discipline',
+        subText: '例如：计算机科学、社会学、临床医学...',
+        category: 'academic',
+        type: 'text'
+    },
+    {
+        id: 'q_paper_section',
+        text: '需要写论文的哪一部分？',
+        label: '论文部分',
+        labelEn: 'Paper section',
+        subText: '可多选',
+        category: 'academic',
+        type: 'multiselect',
+        options: ['摘要', '引言', '文献综述', '研究方法', '结果与讨论', '结论'],
+        maxLength: 3,
+        messages: { maxLength: '一次最多写 3 个部分' }
+    },
+    {
+        id: 'q_citation_style',
+        text: '引用格式要求？',
+        label: '引用格式',
+        labelEn: 'Citation style',
+        subText: '例如：APA、GB/T 7714、IEEE...',
+        category: 'academic',
+        type: 'select',
+        options: ['APA', 'MLA', 'Chicago', 'GB/T 7714', 'IEEE'],
+        allowOther: true
+    },
+    {
+        id: 'q_recipient',
+        text: '收件人是谁？与你是什么关系？',
+        label: '收件人',
+        labelEn: 'Recipient',
+        subText: '例如：客户、直属领导、合作方...',
+        category: 'email',
+        type: 'text'
+    },
+    {
+        id: 'q_email_original',
+        text: '对方的原邮件说了什么？',
+        label: '原邮件内容',
+        labelEn: 'Original email',
+        subText: '粘贴或概括需要回复的邮件内容',
+        category: 'email',
+        type: 'text',
+        maxLength: 3000
+    },
+    {
+        id: 'q_email_intent',
+        text: '你希望如何回复？',
+        label: '回复意图',
+        labelEn: 'Reply intent',
+        subText: '例如：委婉拒绝、确认时间、催促进度...',
+        category: 'email',
+        type: 'text',
+        required: true
+    },
+    {
+        id: 'q_report_period',
+        text: '汇报周期与对象？',
+        label: '汇报周期',
+        labelEn: 'Reporting period',
+        subText: '例如：第 12 周周报，发给部门负责人',
+        category: 'report',
+        type: 'text'
+    },
+    {
+        id: 'q_report_done',
+        text: '本期完成了哪些工作？',
+        label: '已完成工作',
+        labelEn: 'Completed work',
+        subText: '按条列出即可，越具体越好',
+        category: 'report',
+        type: 'text',
+        required: true,
+        minLength: 10,
+        messages: { minLength: '多写几项工作内容吧（至少 10 个字）' }
+    },
+    {
+        id: 'q_report_next',
+        text: '下期计划与遇到的问题？',
+        label: '下期计划',
+        labelEn: 'Next steps',
+        subText: '例如：下周上线 v2.0，目前缺少测试资源',
+        category: 'report',
+        type: 'text'
+    },
+    {
+        id: 'q_event_type',
+        text: '活动类型与主题？',
+        label: '活动类型',
+        labelEn: 'Event type',
+        subText: '例如：公司年会、新品发布会、读书沙龙...',
+        category: 'event',
+        type: 'text'
+    },
+    {
+        id: 'q_event_scale',
+        text: '活动规模与时间地点？',
+        label: '规模与时间地点',
+        labelEn: 'Scale, time & venue',
+        subText: '例如：200 人，12 月底，上海某酒店',
+        category: 'event',
+        type: 'text'
+    },
+    {
+        id: 'q_event_budget',
+        text: '预算大概多少？',
+        label: '预算',
+        labelEn: 'Budget',
+        subText: '填写预算上限，例如：50000',
+        category: 'event',
+        type: 'number',
+        min: 0,
+        step: 1000,
+        unit: '元',
+        unitEn: 'CNY'
+    },
+    {
+        id: 'q_target_lang',
+        text: '翻译成什么语言？',
+        label: '目标语言',
+        labelEn: 'Target language',
+        subText: '例如：英文、日文、繁体中文...',
+        category: 'translation',
+        type: 'select',
+        options: ['英文', '简体中文', '繁体中文', '日文', '韩文', '法文', '德文', '西班牙文'],
+        allowOther: true,
+        required: true
+    },
+    {
+        id: 'q_translation_domain',
+        text: '原文属于什么领域？',
+        label: '原文领域',
+        labelEn: 'Source domain',
+        subText: '例如：法律合同、医学论文、游戏本地化...',
+        category: 'translation',
+        type: 'text'
+    },
+    {
+        id: 'q_translation_style',
+        text: '译文风格偏好？',
+        label: '译文风格',
+        labelEn: 'Translation style',
+        subText: '选择最接近的风格',
+        category: 'translation',
+        type: 'select',
+        options: ['忠实直译', '自然意译', '口语化', '正式书面']
+    },
+    {
+        id: 'q_data_source',
+        text: '数据来源与格式？',
+        label: '数据来源',
+        labelEn: 'Data source',
+        subText: '例如：Excel 销售报表、MySQL 订单表...',
+        category: 'data',
+        type: 'text'
+    },
+    {
+        id: 'q_data_metric',
+        text: '重点关注哪些指标？',
+        label: '关注指标',
+        labelEn: 'Key metrics',
+        subText: '例如：转化率、复购率、客单价...',
+        category: 'data',
+        type: 'text'
+    },
+    {
+        id: 'q_data_tool',
+        text: '使用什么分析工具？',
+        label: '分析工具',
+        labelEn: 'Analysis tool',
+        subText: '可多选',
+        category: 'data',
+        type: 'multiselect',
+        options: ['Excel', 'Python Pandas', 'SQL', 'R', 'Tableau', 'Power BI']
+    },
+    {
+        id: 'q_product',
+        text: '涉及什么产品或服务？',
+        label: '产品/服务',
+        labelEn: 'Product/service',
+        subText: '例如：会员订阅、智能手表、外卖配送...',
+        category: 'support',
+        type: 'text'
+    },
+    {
+        id: 'q_customer_issue',
+        text: '客户遇到了什么问题？',
+        label: '客户问题',
+        labelEn: 'Customer issue',
+        subText: '例如：物流延误、商品破损、重复扣费...',
+        category: 'support',
+        type: 'text',
+        required: true
+    },
+    {
+        id: 'q_support_policy',
+        text: '可以提供哪些处理方案？',
+        label: '可行方案',
+        labelEn: 'Available remedies',
+        subText: '例如：七天无理由退货、补发、优惠券补偿...',
+        category: 'support',
+        type: 'text'
     }
 ];
@@ -0,0 +1,164 @@
+/**
+ * @file taskTypes.js
+ * @description Built-in task type definitions for the rule-based task classifier.
+ * Each entry registers weighted keywords (Chinese and English), negative keywords that
+ * count against the type, and the question categories recommended for it.
+ *
+ * Definition shape:
+ * - type: {string} Unique identifier used across the app (e.g., 'Coding').
+ * - label: {string} Display name shown to the user.
+ * - keywords: {Object<string, number>} Keyword -> weight added when the keyword appears.
+ * - negativeKeywords: {Object<string, number>} Keyword -> weight subtracted when the keyword appears.
+ * - questionCategories: {Array<string>} Ordered question bank categories to ask for this type.
+ * - preset: {string} [optional] Key of the `PromptPresets` entry applied when generating the prompt.
+ * - essentialQuestions: {Array<string>} [optional] Ids of the questions the preset relies on;
+ *   the result step warns when their answers are missing.
+ * - baseScore: {number} [optional] Score granted even without any keyword match (used by the fallback).
+ *
+ * @module Data/TaskTypes
+ * @author Feng
+ * @date 2026-10-19
+ */
+
+export const taskTypes = [
+    {
+        type: 'Coding',
+        label: '代码编程',
+        keywords: {
+            '代码': 3, '编程': 3, '程序': 2, '函数': 3, '脚本': 2, '算法': 3,
+            '报错': 3, '调试': 3, '接口': 2, '爬虫': 3, '正则': 3, '重构': 3,
+            'code': 3, 'coding': 3, 'python': 3, 'javascript': 3, 'typescript': 3,
+            'java': 2.5, 'c++': 3, 'sql': 3, 'bug': 3, 'debug': 3, 'script': 2,
+            'function': 2, 'api': 2, 'react': 2.5, 'regex': 3
+        },
+        negativeKeywords: {
+            '宣传': 2, '文案': 2, '推广': 1.5, '营销': 1.5, '广告': 1.5,
+            'marketing': 2, 'copywriting': 2, 'advertising': 1.5
+        },
+        questionCategories: ['technical'],
+        preset: 'coding',
+        essentialQuestions: ['q_lang', 'q_func']
+    },
+    {
+        type: 'MarketingCopy',
+        label: '营销文案',
+        keywords: {
+            '文案': 3, '宣传': 3, '小红书': 3, '推广': 2.5, '营销': 3, '种草': 3,
+            '广告': 2.5, '朋友圈': 2, '抖音': 2, '卖点': 2, '带货': 3, '标语': 3,
+            'copywriting': 3, 'copy': 2, 'marketing': 3, 'slogan': 3,
+            'promotion': 2, 'campaign': 1.5, 'ad': 1.5, 'tiktok': 2
+        },
+        negativeKeywords: {
+            '代码': 1.5, '报错': 2, 'bug': 2, 'debug': 2
+        },
+        questionCategories: ['marketing', 'writing', 'general'],
+        preset: 'marketing',
+        essentialQuestions: ['q_platform', 'q_audience']
+    },
+    {
+        type: 'Academic',
+        label: '学术写作',
+        keywords: {
+            '论文': 3, '学术': 3, '文献': 3, '综述': 3, '期刊': 3, '开题': 3,
+            '课题': 2, '摘要': 2, '引用': 2, '答辩': 2.5, '研究': 1.5,
+            'paper': 2.5, 'thesis': 3, 'academic': 3, 'essay': 2,
+            'literature review': 3, 'abstract': 2, 'research': 1.5
+        },
+        negativeKeywords: {
+            '宣传': 1.5, '营销': 1.5, 'marketing': 1.5
+        },
+        questionCategories: ['academic'],
+        preset: 'academic',
+        essentialQuestions: ['q_discipline', 'q_paper_section']
+    },
+    {
+        type: 'Email',
+        label: '邮件回复',
+        keywords: {
+            '邮件': 3, '回信': 3, '邮箱': 2, '回复': 1.5, '抄送': 2,
+            'email': 3, 'e-mail': 3, 'mail': 2, 'reply': 1.5
+        },
+        negativeKeywords: {
+            '投诉': 1, '售后': 1
+        },
+        questionCategories: ['email'],
+        preset: 'email',
+        essentialQuestions: ['q_recipient', 'q_email_intent']
+    },
+    {
+        type: 'WeeklyReport',
+        label: '周报润色',
+        keywords: {
+            '周报': 3, '日报': 3, '月报': 3, '汇报': 2, '述职': 3,
+            '工作总结': 3, '润色': 1,
+            'weekly report': 3, 'status report': 3, 'standup': 2
+        },
+        negativeKeywords: {},
+        questionCategories: ['report'],
+        preset: 'weeklyReport',
+        essentialQuestions: ['q_report_done']
+    },
+    {
+        type: 'EventPlanning',
+        label: '活动策划',
+        keywords: {
+            '活动': 2.5, '策划': 3, '年会': 3, '团建': 3, '发布会': 3,
+            '晚会': 3, '沙龙': 2.5, '会议': 1.5, '方案': 1,
+            'event': 3, 'party': 2, 'conference': 2, 'meetup': 2.5
+        },
+        negativeKeywords: {
+            '代码': 1.5, '文案': 1
+        },
+        questionCategories: ['event', 'planning'],
+        preset: 'eventPlanning',
+        essentialQuestions: ['q_event_type', 'q_event_budget']
+    },
+    {
+        type: 'Translation',
+        label: '翻译',
+        keywords: {
+            '翻译': 3, '译成': 3, '英译中': 3, '中译英': 3, '译文': 3,
+            'translate': 3, 'translation': 3, 'localize': 2
+        },
+        negativeKeywords: {},
+        questionCategories: ['translation'],
+        preset: 'translation',
+        essentialQuestions: ['q_target_lang']
+    },
+    {
+        type: 'DataAnalysis',
+        label: '数据分析',
+        keywords: {
+            '数据': 2, '分析': 1.5, '报表': 2.5, '统计': 2.5, '图表': 2,
+            '可视化': 2.5, '指标': 2, 'excel': 3, '表格': 1,
+            'data': 2, 'analysis': 2, 'analytics': 3, 'dashboard': 2.5, 'sql': 1.5
+        },
+        negativeKeywords: {
+            '爬虫': 1.5
+        },
+        questionCategories: ['data'],
+        preset: 'dataAnalysis',
+        essentialQuestions: ['q_data_source', 'q_data_metric']
+    },
+    {
+        type: 'CustomerSupport',
+        label: '客服回复',
+        keywords: {
+            '客服': 3, '投诉': 3, '售后': 3, '退款': 3, '工单': 3,
+            '客户': 1.5, '用户反馈': 2.5, '差评': 3,
+            'customer': 2, 'support': 2, 'refund': 3, 'complaint': 3
+        },
+        negativeKeywords: {},
+        questionCategories: ['support'],
+        preset: 'customerSupport',
+        essentialQuestions: ['q_customer_issue', 'q_support_policy']
+    },
+    {
+        type: 'General',
+        label: '通用任务',
+        keywords: {},
+        negativeKeywords: {},
+        baseScore: 0.5,
+        questionCategories: ['detail', 'general', 'writing', 'output', 'planning']
+    }
+];
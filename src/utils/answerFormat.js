@@ -0,0 +1,65 @@
+/**
+ * @file answerFormat.js
+ * @description Helpers for the structured answer values of typed wizard questions.
+ * Depending on the question `type`, an answer is stored as:
+ * - `text` / `select`: a string
+ * - `multiselect`: an array of strings
+ * - `number` / `range`: a number (rendered with the question's `unit`)
+ * - `boolean`: true or false
+ * Answers edited as free text later on (e.g., in the result view) are plain strings and are rendered as-is.
+ *
+ * @module Utils/AnswerFormat
+ * @author Feng
+ * @date 2026-10-19
+ */
+
+import { translate, DEFAULT_LOCALE } from './promptLocale';
+
+/** Question types the Wizard can render. */
+export const QUESTION_TYPES = ['text', 'select', 'multiselect', 'number', 'range', 'boolean'];
+
+/**
+ * Checks whether an answer value counts as answered.
+ *
+ * @param {*} value - The answer value.
+ * @returns {boolean} False for empty strings, empty arrays, NaN and missing values.
+ */
+export const hasAnswer = (value) => {
+    if (value === undefined || value === null) return false;
+    if (typeof value === 'string') return value.trim() !== '';
+    if (Array.isArray(value)) return value.length > 0;
+    if (typeof value === 'number') return Number.isFinite(value);
+    return true;
+};
+
+/**
+ * Resolves the unit of a numeric question in a prompt locale.
+ *
+ * @param {Object} question - The question metadata.
+ * @param {string} locale - The prompt locale.
+ * @returns {string} The unit, or an empty string.
+ */
+const unitFor = (question, locale) => {
+    if (locale === 'en') return question.unitEn || question.unit || '';
+    return question.unit || '';
+};
+
+/**
+ * Formats an answer value as prompt text.
+ *
+ * @param {*} value - The answer value.
+ * @param {Object} [question={}] - The question metadata (type, unit, unitEn).
+ * @param {string} [locale='zh'] - The prompt locale.
+ * @returns {string} The formatted answer.
+ */
+export const formatAnswer = (value, question = {}, locale = DEFAULT_LOCALE) => {
+    if (!hasAnswer(value)) return '';
+    if (typeof value === 'string') return value;
+    if (Array.isArray(value)) return value.join(translate(locale, 'listSeparator'));
+    if (typeof value === 'boolean') return translate(locale, value ? 'answers.yes' : 'answers.no');
+    if (typeof value === 'number') {
+        const unit = unitFor(question, locale);
+        return unit ? `${value} ${unit}` : String(value);
+    }
+    return String(value);
+};
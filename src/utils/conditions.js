@@ -0,0 +1,108 @@
+/**
+ * @file conditions.js
+ * @description Evaluates the `showIf` conditions of wizard questions against the current answers
+ * and the confirmed task type, so follow-up questions only appear when they are relevant.
+ *
+ * A condition is a plain object (so it can live in data files and saved templates):
+ * - `{ q_platform: '小红书' }`: the answer equals the value (for multi-select answers: contains it).
+ * - `{ q_lang: ['Python', 'Go'] }`: the answer matches any of the values.
+ * - `{ taskType: 'MarketingCopy' }`: the confirmed task type matches (also accepts an array).
+ * - `{ q_event_budget: { gte: 10000 } }`: operators `eq`, `ne`, `in`, `gt`, `gte`, `lt`, `lte`, `answered`.
+ * - `{ all: [...] }`, `{ any: [...] }`, `{ not: {...} }`: combine conditions.
+ * All keys of one condition object must hold.
+ *
+ * @module Utils/Conditions
+ * @author Feng
+ * @date 2026-10-19
+ */
+
+import { hasAnswer } from './answerFormat';
+
+/** Condition key that refers to the task type instead of an answer. */
+const TASK_TYPE_KEY = 'taskType';
+
+/**
+ * Checks whether an answer matches an expected value.
+ * Multi-select answers match if they contain the value.
+ *
+ * @param {*} actual - The answer value.
+ * @param {*} expected - The expected value.
+ * @returns {boolean} Whether they match.
+ */
+const matchesValue = (actual, expected) => (
+    Array.isArray(actual) ? actual.includes(expected) : actual === expected
+);
+
+/**
+ * Comparison operators usable in `{ q_id: { op: operand } }`.
+ */
+const OPERATORS = {
+    eq: (actual, operand) => matchesValue(actual, operand),
+    ne: (actual, operand) => !matchesValue(actual, operand),
+    in: (actual, operand) => operand.some(v => matchesValue(actual, v)),
+    gt: (actual, operand) => typeof actual === 'number' && actual > operand,
+    gte: (actual, operand) => typeof actual === 'number' && actual >= operand,
+    lt: (actual, operand) => typeof actual === 'number' && actual < operand,
+    lte: (actual, operand) => typeof actual === 'number' && actual <= operand,
+    answered: (actual, operand) => hasAnswer(actual) === operand
+};
+
+/**
+ * Tests a single value against the right-hand side of a condition entry.
+ *
+ * @param {*} actual - The answer value or task type.
+ * @param {*} test - A value, an array of values, or an operator object.
+ * @returns {boolean} Whether the test holds.
+ * @throws {Error} If an operator is unknown.
+ */
+const testValue = (actual, test) => {
+    if (Array.isArray(test)) return test.some(v => matchesValue(actual, v));
+    if (test !== null && typeof test === 'object') {
+        return Object.entries(test).every(([op, operand]) => {
+            const operator = OPERATORS[op];
+            if (!operator) throw new Error(`Unknown condition operator: ${op}`);
+            return operator(actual, operand);
+        });
+    }
+    return matchesValue(actual, test);
+};
+
+/**
+ * Evaluates a condition.
+ *
+ * @param {Object} [condition] - The condition (see the module description). A missing condition always holds.
+ * @param {Object} context - The evaluation context.
+ * @param {Object} [context.answers={}] - The current answers keyed by question id.
+ * @param {string} [context.taskType] - The confirmed task type.
+ * @returns {boolean} Whether the condition holds.
+ */
+export const evaluateCondition = (condition, { answers = {}, taskType } = {}) => {
+    if (!condition) return true;
+    const context = { answers, taskType };
+
+    return Object.entries(condition).every(([key, test]) => {
+        if (key === 'all') return test.every(c => evaluateCondition(c, context));
+        if (key === 'any') return test.some(c => evaluateCondition(c, context));
+        if (key === 'not') return !evaluateCondition(test, context);
+        if (key === TASK_TYPE_KEY) return testValue(taskType, test);
+        return testValue(answers[key], test);
+    });
+};
+
+/**
+ * Filters a question list down to the questions whose `showIf` condition holds.
+ * Answers to hidden questions are ignored for the questions after them,
+ * so a follow-up of a hidden follow-up stays hidden too.
+ *
+ * @param {Array<Object>} questions - The planned questions (follow-ups after the questions they depend on).
+ * @param {Object} context - The evaluation context {answers, taskType}.
+ * @returns {Array<Object>} The visible questions, in order.
+ */
+export const visibleQuestions = (questions, { answers = {}, taskType } = {}) => {
+    const effective = { ...answers };
+    return questions.filter(q => {
+        const visible = evaluateCondition(q.showIf, { answers: effective, taskType });
+        if (!visible) delete effective[q.id];
+        return visible;
+    });
+};
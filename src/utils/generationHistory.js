@@ -0,0 +1,85 @@
+/**
+ * @file generationHistory.js
+ * @description Automatic log of generated prompts, kept apart from the saved templates.
+ * Every generation is recorded with its inputs (the same fields a template version holds, see
+ * `templateVersions.js`) and a timestamp. The log lives in Local Storage and keeps the newest
+ * `MAX_HISTORY` entries.
+ *
+ * Entry shape: {id, date, taskInput, taskType, answers, selectedStyles, selectedIndustries, selectedTone,
+ * persona, customConstraints, disabledPresetConstraints, customTags, outputFormat, promptLocale,
+ * generatedPrompt, spec, tags}.
+ *
+ * @module Utils/GenerationHistory
+ * @author Feng
+ * @date 2026-10-19
+ */
+
+/** Local Storage key of the history. */
+const HISTORY_KEY = 'bubble_history';
+
+/** How many generations are kept. */
+export const MAX_HISTORY = 30;
+
+/**
+ * Writes the history. When storage is full, the oldest entries are dropped until it fits.
+ *
+ * @param {Array<Object>} entries - The entries, newest first.
+ * @returns {Array<Object>} The entries actually stored.
+ */
+const writeHistory = (entries) => {
+    for (let kept = entries; kept.length > 0; kept = kept.slice(0, -1)) {
+        try {
+            localStorage.setItem(HISTORY_KEY, JSON.stringify(kept));
+            return kept;
+        } catch (err) {
+            console.warn('History storage full, dropping the oldest entry:', err);
+        }
+    }
+    localStorage.removeItem(HISTORY_KEY);
+    return [];
+};
+
+/**
+ * Lists the recorded generations, newest first. An unreadable history is dropped.
+ *
+ * @returns {Array<Object>} The entries.
+ */
+export const listHistory = () => {
+    try {
+        const entries = JSON.parse(localStorage.getItem(HISTORY_KEY) || '[]');
+        return Array.isArray(entries) ? entries.filter(e => e && e.id && typeof e.generatedPrompt === 'string') : [];
+    } catch {
+        localStorage.removeItem(HISTORY_KEY);
+        return [];
+    }
+};
+
+/**
+ * Records a generation at the top of the history, dropping the oldest entries beyond `MAX_HISTORY`.
+ *
+ * @param {Object} content - The generated prompt with its inputs.
+ * @returns {Array<Object>} The updated history.
+ */
+export const recordGeneration = (content) => {
+    const history = listHistory();
+    const id = Math.max(Date.now(), ...history.map(e => e.id + 1));
+    return writeHistory([{ id, date: new Date().toISOString(), ...content }, ...history].slice(0, MAX_HISTORY));
+};
+
+/**
+ * Removes one entry.
+ *
+ * @param {number} id - The entry id.
+ * @returns {Array<Object>} The updated history.
+ */
+export const removeHistoryEntry = (id) => writeHistory(listHistory().filter(e => e.id !== id));
+
+/**
+ * Removes all entries.
+ *
+ * @returns {Array<Object>} The (empty) history.
+ */
+export const clearHistory = () => {
+    localStorage.removeItem(HISTORY_KEY);
+    return [];
+};
@@ -0,0 +1,122 @@
+/**
+ * @file promptComposer.js
+ * @description Turns the inputs collected by the app (task, answers, tags, persona, constraints)
+ * into a configured CoStarBuilder. Keeps the wiring between task types, presets and the builder
+ * in one place so the same inputs always produce the same prompt, whether they come from the
+ * live session or from a saved template.
+ *
+ * @module Utils/PromptComposer
+ * @author Feng
+ * @date 2026-10-19
+ */
+
+import { CoStarBuilder, PromptPresets } from './promptEngine';
+import { DEFAULT_LOCALE } from './promptLocale';
+import { getTaskType } from './taskClassifier';
+import { questions as questionBank } from '../data/questions';
+import { hasAnswer } from './answerFormat';
+
+/** Empty persona used when no role definition was given. */
+export const EMPTY_PERSONA = { role: '', expertiseYears: '', background: '' };
+
+/**
+ * Looks up the prompt preset registered for a task type.
+ *
+ * @param {string} type - The task type identifier.
+ * @returns {Function|undefined} The preset function from `PromptPresets`, if any.
+ */
+const presetFor = (type) => {
+    const typeDef = getTaskType(type);
+    return typeDef && PromptPresets[typeDef.preset];
+};
+
+/**
+ * Collects the constraints a task type's preset would add, so they can be shown and toggled.
+ *
+ * @param {string} type - The task type identifier.
+ * @param {string} [locale] - The prompt locale to collect them in (defaults to Chinese, the UI language).
+ * @returns {Array<string>} The preset's constraint strings.
+ */
+export const getPresetConstraints = (type, locale = DEFAULT_LOCALE) => {
+    const preset = presetFor(type);
+    if (!preset) return [];
+    const probe = new CoStarBuilder({ locale });
+    preset(probe);
+    return probe.constraints;
+};
+
+/**
+ * Lists the essential questions of a task type (those its preset relies on) that have no answer.
+ *
+ * @param {string} type - The task type identifier.
+ * @param {Object} answers - Answers keyed by question id.
+ * @returns {Array<Object>} The unanswered essential questions from the question bank.
+ */
+export const findMissingEssentials = (type, answers = {}) => {
+    const typeDef = getTaskType(type);
+    if (!typeDef) return [];
+    return typeDef.essentialQuestions
+        .filter(id => !hasAnswer(answers[id]))
+        .map(id => questionBank.find(q => q.id === id) || { id, text: id });
+};
+
+/**
+ * Configures a CoStarBuilder from the collected inputs.
+ *
+ * @param {Object} inputs - The collected inputs.
+ * @param {string} inputs.taskInput - The task description (objective).
+ * @param {string} inputs.taskType - The confirmed task type.
+ * @param {Object} inputs.answers - Wizard answers keyed by question id.
+ * @param {Array<Object>} [inputs.questions] - The questions asked, used to label the answers.
+ * @param {Array<string>} [inputs.selectedStyles] - Selected style tags.
+ * @param {Array<string>} [inputs.selectedIndustries] - Selected industry tags.
+ * @param {string} [inputs.selectedTone] - Selected tone.
+ * @param {Object} [inputs.persona] - Role definition {role, expertiseYears, background}.
+ * @param {Array<string>} [inputs.customConstraints] - User-defined constraints.
+ * @param {Array<string>} [inputs.disabledPresetConstraints] - Preset constraints switched off (in Chinese).
+ * @param {Object} [options] - Compose options.
+ * @param {string} [options.locale='zh'] - The prompt language.
+ * @returns {CoStarBuilder} The configured builder.
+ */
+export const composePrompt = (inputs, { locale = DEFAULT_LOCALE } = {}) => {
+    const {
+        taskInput = '',
+        taskType = 'General',
+        answers = {},
+        questions = [],
+        selectedStyles = [],
+        selectedIndustries = [],
+        selectedTone = '',
+        persona = EMPTY_PERSONA,
+        customConstraints = [],
+        disabledPresetConstraints = []
+    } = inputs;
+
+    const builder = new CoStarBuilder({ locale });
+    builder.setObjective(taskInput);
+    builder.setContext({ ...persona, industries: selectedIndustries });
+    // q_constraints is rendered through the constraint editor instead of the inputs list
+    const { q_constraints: _constraintsAnswer, ...userInputs } = answers;
+    // An explicit tone choice wins over the free-text tone answer from the wizard;
+    // an answer used as the tone is not listed again among the inputs
+    const tone = selectedTone || answers.q_tone || '';
+    if (!selectedTone) delete userInputs.q_tone;
+    builder.setUserInputs(userInputs, [...questions, ...questionBank]);
+
+    selectedStyles.forEach(s => builder.addStyle(s));
+    builder.setTone(tone);
+
+    // Apply the preset registered for the identified task type
+    const preset = presetFor(taskType);
+    if (preset) preset(builder);
+
+    // Apply the user's constraint choices on top of the preset
+    // Preset rules are toggled in the UI language, so match them by position in the preset
+    const localizedPresetConstraints = getPresetConstraints(taskType, locale);
+    getPresetConstraints(taskType).forEach((c, i) => {
+        if (disabledPresetConstraints.includes(c)) builder.removeConstraint(localizedPresetConstraints[i]);
+    });
+    customConstraints.filter(c => c.trim()).forEach(c => builder.addConstraint(c.trim()));
+
+    return builder;
+};
@@ -10,6 +10,34 @@
  * @date 2026-02-04
  */
 
+import { renderPrompt } from './promptRenderers';
+import { translate, DEFAULT_LOCALE } from './promptLocale';
+import { formatAnswer, hasAnswer } from './answerFormat';
+import { estimateTokens } from './tokenEstimator';
+
+/**
+ * Turns a question id into a readable label, e.g. 'q_tech_stack' -> 'Tech Stack'.
+ * Used when no question metadata is known for an answer.
+ * @param {string} key - The question id.
+ * @returns {string} The humanized label.
+ */
+const humanizeId = (key) => key
+    .replace(/^q_/, '')
+    .split('_')
+    .filter(Boolean)
+    .map(word => word[0].toUpperCase() + word.slice(1))
+    .join(' ');
+
+/** Sections left out of compact prompts (on top of the decorative ones). */
+const COMPACT_DROPPED_SECTIONS = ['chainOfThought'];
+
+/**
+ * Trims the items of an edited list and drops the empty ones.
+ * @param {Array<string>} [items] - The list items.
+ * @returns {Array<string>} The cleaned list.
+ */
+const cleanList = (items = []) => items.map(item => (item || "").trim()).filter(Boolean);
+
 /**
  * A Builder class for constructing CO-STAR structured prompts.
  * Allows chainable configuration of prompt parameters.
@@ -19,10 +47,23 @@
 export class CoStarBuilder {
     /**
      * Initializes a new instance of the CoStarBuilder.
+     * @param {Object} [options] - Builder options.
+     * @param {string} [options.locale='zh'] - Scaffold language: 'zh', 'en' or 'bilingual'.
+     * Fixed for the builder's lifetime, since setters and presets localize their text immediately.
      */
-    constructor() {
-        /** @property {string} context - The background context or role definition. */
-        this.context = "";
+    constructor({ locale = DEFAULT_LOCALE } = {}) {
+        /** @property {string} locale - The language of all scaffold strings. */
+        this.locale = locale;
+        /** @property {string} role - The persona the model plays (e.g., '资深文案策划'); empty means a generic expert. */
+        this.role = "";
+        /** @property {Array<string>} industries - The domains or industries the role is an expert in. */
+        this.industries = [];
+        /** @property {number} expertiseYears - Years of experience claimed by the role (0 = unspecified). */
+        this.expertiseYears = 0;
+        /** @property {Array<string>} expertise - Skill notes describing the role (e.g., supplied by presets). */
+        this.expertise = [];
+        /** @property {string} background - Free-form background about the task or the user's situation. */
+        this.background = "";
         /** @property {string} objective - The main goal or task description. */
         this.objective = "";
         /** @property {Array<string>} style - List of style descriptors. */
@@ -37,6 +78,18 @@ export class CoStarBuilder {
         this.constraints = [];
         /** @property {Object} userInputs - Dictionary of additional user-provided details. */
         this.userInputs = {};
+        /** @property {Object} questionMeta - Question metadata keyed by question id, used for input labels. */
+        this.questionMeta = {};
+    }
+
+    /**
+     * Resolves a scaffold string in the builder's locale.
+     * @param {string} path - Dot-separated key into the prompt string tables.
+     * @param {...*} args - Arguments for parameterized strings.
+     * @returns {string|Array<string>} The localized value.
+     */
+    t(path, ...args) {
+        return translate(this.locale, path, ...args);
     }
 
     /**
@@ -51,12 +104,33 @@ export class CoStarBuilder {
 
     /**
      * Sets the context and role definition.
-     * @param {string} industry - The domain or industry (e.g., 'Finance', 'Tech').
-     * @param {string} [customContext=""] - Optional additional context.
+     * Also accepts the short form `setContext(industries, background)`.
+     * @param {Object|string|Array<string>} context - The structured context, or the industries for the short form.
+     * @param {string} [context.role] - The persona the model plays.
+     * @param {string|Array<string>} [context.industries] - One or more domains (e.g., 'Finance', 'Tech').
+     * @param {number|string} [context.expertiseYears] - Years of experience of the role.
+     * @param {string} [context.background] - Free-form background about the task.
+     * @param {string} [background=""] - Background for the short form.
      * @returns {CoStarBuilder} The builder instance for chaining.
      */
-    setContext(industry, customContext = "") {
-        this.context = `你是一位 ${industry || "通用"} 领域的专家。 ${customContext}`;
+    setContext(context = {}, background = "") {
+        const { role = "", industries = [], expertiseYears = 0, background: note = background } =
+            (typeof context === 'string' || Array.isArray(context)) ? { industries: context } : context;
+
+        this.role = role.trim();
+        this.industries = [].concat(industries).map(i => (i || "").trim()).filter(Boolean);
+        this.expertiseYears = Math.max(0, parseInt(expertiseYears, 10) || 0);
+        this.background = (note || "").trim();
+        return this;
+    }
+
+    /**
+     * Adds a skill note to the role definition (e.g., domain knowledge supplied by a preset).
+     * @param {string} note - The expertise sentence to add.
+     * @returns {CoStarBuilder} The builder instance for chaining.
+     */
+    addExpertise(note) {
+        this.expertise.push(note);
         return this;
     }
 
@@ -70,6 +144,16 @@ export class CoStarBuilder {
         return this;
     }
 
+    /**
+     * Sets the desired emotional tone of the response.
+     * @param {string} tone - The tone descriptor (e.g., '亲切友好', '正式庄重').
+     * @returns {CoStarBuilder} The builder instance for chaining.
+     */
+    setTone(tone) {
+        this.tone = tone;
+        return this;
+    }
+
     /**
      * Sets the target audience.
      * @param {string} audience - Description of the target audience.
@@ -90,6 +174,16 @@ export class CoStarBuilder {
         return this;
     }
 
+    /**
+     * Removes a previously added constraint (e.g., a preset rule the user switched off).
+     * @param {string} constraint - The exact rule string to remove.
+     * @returns {CoStarBuilder} The builder instance for chaining.
+     */
+    removeConstraint(constraint) {
+        this.constraints = this.constraints.filter(c => c !== constraint);
+        return this;
+    }
+
     /**
      * Defines the desired output format.
      * @param {string} format - Description of the format.
@@ -102,64 +196,194 @@ export class CoStarBuilder {
 
     /**
      * Populates user input details from the wizard.
-     * @param {Object} inputs - Key-value pair of user inputs.
+     * @param {Object} inputs - Key-value pair of user inputs, keyed by question id.
+     * Values may be strings or structured answers of typed questions (see `answerFormat.js`).
+     * @param {Array<Object>} [questions=[]] - Question metadata {id, text, label, labelEn, type, unit, unitEn}
+     * used to label and format the inputs.
+     * The first question with a given id wins.
      * @returns {CoStarBuilder} The builder instance for chaining.
      */
-    setUserInputs(inputs) {
+    setUserInputs(inputs, questions = []) {
         this.userInputs = inputs;
+        this.questionMeta = {};
+        questions.forEach(q => {
+            if (!this.questionMeta[q.id]) this.questionMeta[q.id] = q;
+        });
         return this;
     }
 
+    /**
+     * Resolves the human-readable label of a user input in the builder's locale.
+     * Falls back to the question text, then to a humanized id.
+     * @param {string} key - The input key (usually a question id).
+     * @returns {string} The label.
+     */
+    inputLabel(key) {
+        const question = this.questionMeta[key];
+        if (!question) return key.startsWith('q_') ? humanizeId(key) : key;
+
+        const zh = question.label || (question.text || '').replace(/[？?]\s*$/, '') || humanizeId(key);
+        const en = question.labelEn || humanizeId(key);
+        if (this.locale === 'en') return en;
+        if (this.locale === 'bilingual' && zh !== en) return `${zh} / ${en}`;
+        return zh;
+    }
+
+    /**
+     * Formats the value of a user input in the builder's locale (e.g., units, yes/no, lists).
+     * @param {string} key - The input key (usually a question id).
+     * @returns {string} The formatted value.
+     */
+    inputValue(key) {
+        return formatAnswer(this.userInputs[key], this.questionMeta[key], this.locale);
+    }
+
+    /**
+     * Describes the prompt as an ordered list of format-neutral sections.
+     * Renderers in `promptRenderers.js` turn these sections into concrete output formats.
+     * 
+     * @returns {Array<Object>} The prompt sections (see `promptRenderers.js` for the shape).
+     */
+    toSections() {
+        const styleStr = this.style.join(this.t('listSeparator'));
+        const inputs = Object.keys(this.userInputs)
+            .filter(key => hasAnswer(this.userInputs[key]))
+            .map(key => ({ label: this.inputLabel(key), value: this.inputValue(key) }));
+        const field = (key, value) => ({ key, label: this.t(`fields.${key}`), value });
+        const industriesStr = this.industries.join(this.t('listSeparator'));
+        const roleStr = [
+            this.t('roleLine', { role: this.role, industries: industriesStr, years: this.expertiseYears }),
+            ...this.expertise
+        ].join(' ');
+        const contextStr = [this.t('contextLine', industriesStr), this.background].filter(Boolean).join(' ');
+
+        return [
+            { key: 'role', emoji: '🚀', title: this.t('sections.role'), type: 'text', content: roleStr },
+            {
+                key: 'task', emoji: '🎯', title: this.t('sections.task'), type: 'fields',
+                content: [
+                    field('context', contextStr),
+                    field('objective', this.objective),
+                    field('style', styleStr || this.t('defaults.style')),
+                    field('tone', this.tone || this.t('defaults.tone')),
+                    field('audience', this.audience || this.t('defaults.audience')),
+                    field('response', this.responseFormat || this.t('defaults.response'))
+                ]
+            },
+            // Without answers the inputs section is left out instead of rendering an empty heading
+            ...(inputs.length
+                ? [{ key: 'userInputs', emoji: '📝', title: this.t('sections.userInputs'), type: 'pairs', content: inputs }]
+                : []),
+            {
+                key: 'chainOfThought', emoji: '⛓️', title: this.t('sections.chainOfThought'), type: 'steps',
+                content: this.t('chainOfThought', this.tone)
+            },
+            {
+                key: 'constraints', emoji: '⛔', title: this.t('sections.constraints'), type: 'bullets',
+                content: [
+                    ...(this.constraints.length ? this.constraints : [this.t('defaults.constraints')]),
+                    ...this.t('qualityRules', this.tone)
+                ]
+            },
+            { key: 'reply', emoji: '👇', title: this.t('sections.reply'), type: 'footer', decorative: true }
+        ];
+    }
+
+    /**
+     * Exports the builder state as a plain, serializable object ("spec").
+     * Specs can be edited field by field and turned back into a builder with `fromSpec`.
+     * 
+     * @returns {Object} The prompt spec.
+     */
+    toSpec() {
+        return {
+            locale: this.locale,
+            role: this.role,
+            industries: [...this.industries],
+            expertiseYears: this.expertiseYears,
+            expertise: [...this.expertise],
+            background: this.background,
+            objective: this.objective,
+            style: [...this.style],
+            tone: this.tone,
+            audience: this.audience,
+            responseFormat: this.responseFormat,
+            constraints: [...this.constraints],
+            userInputs: { ...this.userInputs },
+            // Only the metadata needed to label and format the inputs is kept
+            questions: Object.keys(this.userInputs)
+                .filter(key => this.questionMeta[key])
+                .map(key => {
+                    const { id, text, label, labelEn, type, unit, unitEn } = this.questionMeta[key];
+                    return { id, text, label, labelEn, type, unit, unitEn };
+                })
+        };
+    }
+
+    /**
+     * Creates a builder from a spec produced by `toSpec` (possibly edited).
+     * 
+     * @param {Object} spec - The prompt spec.
+     * @returns {CoStarBuilder} A builder configured from the spec.
+     */
+    static fromSpec(spec) {
+        const builder = new CoStarBuilder({ locale: spec.locale });
+        builder.setContext({
+            role: spec.role || "",
+            industries: spec.industries || [],
+            expertiseYears: spec.expertiseYears,
+            background: spec.background || ""
+        });
+        cleanList(spec.expertise).forEach(note => builder.addExpertise(note));
+        builder.setObjective(spec.objective || "");
+        cleanList(spec.style).forEach(tag => builder.addStyle(tag));
+        builder.setTone(spec.tone || "");
+        builder.setAudience(spec.audience || "");
+        builder.setResponseFormat(spec.responseFormat || "");
+        cleanList(spec.constraints).forEach(c => builder.addConstraint(c));
+        builder.setUserInputs({ ...spec.userInputs }, spec.questions || []);
+        return builder;
+    }
+
     /**
      * Constructs the final prompt string based on all configured parameters.
      * 
+     * @param {Object} [options] - Build options.
+     * @param {string} [options.format='markdown'] - Output format: 'markdown', 'xml', 'json' or 'plain'.
+     * @param {boolean} [options.compact=false] - Drop the chain-of-thought and decorative sections.
+     * @param {number} [options.budget=0] - Token budget; if the full prompt exceeds it, the compact prompt is built instead (0 = no budget).
+     * @param {string} [options.profile] - Tokenizer profile used to check the budget (see `tokenEstimator.js`).
      * @returns {string} The fully assembled prompt string.
      */
-    build() {
-        const styleStr = this.style.join("、");
-        const inputsStr = Object.entries(this.userInputs)
-            .map(([key, val]) => {
-                // Simple heuristic to format key nicely if it's an ID
-                const label = key.startsWith('q_') ? key.substring(2).toUpperCase() : key;
-                return `- **${label}**: ${val}`;
-            })
-            .join("\n");
-
-        return `
-# 🚀 角色设定 (SYSTEM ROLE)
-${this.context}
-
-# 🎯 核心任务 (CO-STAR)
-**背景 (Context)**: 服务于 ${this.context.split(' ')[1] || '目标'} 行业。
-**目标 (Objective)**: ${this.objective}
-**风格 (Style)**: ${styleStr || "专业、清晰"}
-**受众 (Audience)**: ${this.audience || "普通用户"}
-**格式 (Response)**: ${this.responseFormat || "结构化 Markdown"}
-
-# 📝 用户输入信息
-${inputsStr}
-
-# ⛓️ 思考链路 (Chain of Thought)
-1. 分析用户的核心目标和受众群体。
-2. 识别关键限制条件和风格要求。
-3. 构思内容结构，确保逻辑清晰、重点突出。
-4. 调整语气以匹配用户要求的风格：${styleStr}。
-5. 按照指定格式输出最终结果。
-
-# ⛔ 限制条件与质量控制
-${this.constraints.map(c => `- ${c}`).join('\n') || '- 无特殊限制。'}
-- 严禁捏造事实 (No Hallucination)。
-- 确保输出内容可直接用于生产环境。
-- 保持 ${this.style[0] || '专业'} 的语调。
-
-# 👇 请在下方生成回复
-`.trim();
+    build({ format = 'markdown', compact = false, budget = 0, profile } = {}) {
+        const sections = this.toSections();
+        if (!compact) {
+            const full = renderPrompt(sections, format);
+            if (!budget || estimateTokens(full, profile) <= budget) return full;
+        }
+        return renderPrompt(
+            sections.filter(section => !section.decorative && !COMPACT_DROPPED_SECTIONS.includes(section.key)),
+            format
+        );
     }
 }
 
+/**
+ * Applies the localized preset strings (expertise, constraints, response format) to a builder.
+ * @param {CoStarBuilder} builder - The builder to configure.
+ * @param {string} key - The preset key in the `presets` string table.
+ */
+const applyPresetStrings = (builder, key) => {
+    builder.addExpertise(builder.t(`presets.${key}.expertise`));
+    builder.t(`presets.${key}.constraints`).forEach(c => builder.addConstraint(c));
+    builder.setResponseFormat(builder.t(`presets.${key}.responseFormat`));
+};
+
 /**
  * Factory object containing preset configurations for common task types.
  * Helps quickly configure the CoStarBuilder with best-practice constraints.
+ * Presets are referenced by the `preset` key of a task type definition (see `data/taskTypes.js`);
+ * their text lives in the per-locale `presets` tables of `data/promptStrings.js`.
  */
 export const PromptPresets = {
     /**
@@ -167,31 +391,61 @@ export const PromptPresets = {
      * Adds persuasion-related constraints.
      * @param {CoStarBuilder} builder 
      */
-    marketing: (builder) => {
-        builder.addConstraint("使用具有说服力的心理学技巧 (如 FOMO, 社会认同)。");
-        builder.addConstraint("强调产品/服务带来的利益，而非仅仅列举功能。");
-        builder.setResponseFormat("文案格式 (标题 + 正文 + 行动号召)");
-    },
+    marketing: (builder) => applyPresetStrings(builder, 'marketing'),
 
     /**
      * Configures the builder for coding tasks.
      * Enforces clean code and commenting standards.
      * @param {CoStarBuilder} builder 
      */
-    coding: (builder) => {
-        builder.addConstraint("遵循 Clean Code 代码规范。");
-        builder.addConstraint("为复杂的逻辑逻辑添加中文注释。");
-        builder.setResponseFormat("代码块 + Markdown 解释");
-    },
+    coding: (builder) => applyPresetStrings(builder, 'coding'),
 
     /**
      * Configures the builder for academic writing tasks.
      * Enforces formal tone and citation rules.
      * @param {CoStarBuilder} builder 
      */
-    academic: (builder) => {
-        builder.addConstraint("使用严谨的学术语言。");
-        builder.addConstraint("如有引用，请注明来源。");
-        builder.setResponseFormat("学术论文结构 (摘要, 引言, 主体, 结论)");
-    }
+    academic: (builder) => applyPresetStrings(builder, 'academic'),
+
+    /**
+     * Configures the builder for email replies.
+     * Keeps replies polite, focused and ready to send.
+     * @param {CoStarBuilder} builder 
+     */
+    email: (builder) => applyPresetStrings(builder, 'email'),
+
+    /**
+     * Configures the builder for weekly report polishing.
+     * Emphasizes outcomes and measurable progress.
+     * @param {CoStarBuilder} builder 
+     */
+    weeklyReport: (builder) => applyPresetStrings(builder, 'weeklyReport'),
+
+    /**
+     * Configures the builder for event planning.
+     * Requires an actionable, budget-aware plan.
+     * @param {CoStarBuilder} builder 
+     */
+    eventPlanning: (builder) => applyPresetStrings(builder, 'eventPlanning'),
+
+    /**
+     * Configures the builder for translation tasks.
+     * Balances faithfulness with natural phrasing.
+     * @param {CoStarBuilder} builder 
+     */
+    translation: (builder) => applyPresetStrings(builder, 'translation'),
+
+    /**
+     * Configures the builder for data analysis tasks.
+     * Requires conclusions to be backed by the data.
+     * @param {CoStarBuilder} builder 
+     */
+    dataAnalysis: (builder) => applyPresetStrings(builder, 'dataAnalysis'),
+
+    /**
+     * Configures the builder for customer support replies.
+     * Keeps replies empathetic and within policy.
+     * @param {CoStarBuilder} builder 
+     */
+    customerSupport: (builder) => applyPresetStrings(builder, 'customerSupport')
 };
@@ -0,0 +1,106 @@
+/**
+ * @file promptLinter.js
+ * @description Local quality checks for a generated prompt.
+ * Runs on the prompt spec (the CoStarBuilder state, see `CoStarBuilder.toSpec`) and reports
+ * an estimated token count, a 0-100 score and actionable issues. Each issue names the step
+ * where it can be fixed, so the result view can jump back there.
+ *
+ * @module Utils/PromptLinter
+ * @author Feng
+ * @date 2026-10-19
+ */
+
+import { hasAnswer } from './answerFormat';
+import { estimateTokens } from './tokenEstimator';
+
+/** Objectives shorter than this (in characters) are considered too vague. */
+export const MIN_OBJECTIVE_LENGTH = 10;
+
+/** Prompts estimated above this many tokens get a length hint. */
+const LONG_PROMPT_TOKENS = 3000;
+
+/** Score deducted per issue, by severity. */
+const PENALTIES = { error: 25, warning: 10, info: 4 };
+
+/**
+ * Style and tone tags that pull in opposite directions when combined.
+ */
+const CONFLICTING_TAGS = [
+    ['幽默风趣', '专业严谨'],
+    ['幽默风趣', '正式庄重'],
+    ['轻松幽默', '专业严谨'],
+    ['轻松幽默', '正式庄重'],
+    ['温暖治愈', '冷静客观'],
+    ['温暖治愈', '极客硬核'],
+    ['热情洋溢', '冷静客观'],
+    ['简洁明了', '逻辑缜密']
+];
+
+/**
+ * Checks whether a user input was answered.
+ *
+ * @param {Object} spec - The prompt spec.
+ * @param {string} id - The question id.
+ * @returns {boolean} Whether the input has an answer.
+ */
+const answered = (spec, id) => hasAnswer((spec.userInputs || {})[id]);
+
+/**
+ * Lints a prompt spec.
+ *
+ * @param {Object} spec - The prompt spec.
+ * @param {string} [text=''] - The rendered prompt text, used for the token estimate.
+ * @param {Object} [options] - Lint options.
+ * @param {string} [options.profile] - Tokenizer profile for the token estimate (see `tokenEstimator.js`).
+ * @returns {Object} The report {score, tokens, issues}. Each issue is
+ * {id, severity: 'error'|'warning'|'info', message, target: {step, questionId?, field?}}, where `field`
+ * names a spec field edited in the result view itself (step 'result').
+ */
+export const lintPrompt = (spec, text = '', { profile } = {}) => {
+    const issues = [];
+    const add = (id, severity, message, target) => issues.push({ id, severity, message, target });
+
+    const objective = (spec.objective || '').trim();
+    if (!objective) {
+        add('objective-empty', 'error', '还没有写任务目标，模型不知道要做什么。', { step: 'result', field: 'objective' });
+    } else if (objective.length < MIN_OBJECTIVE_LENGTH) {
+        add('objective-vague', 'warning', `任务目标只有 ${objective.length} 个字，可能过于笼统，补充一下要做什么、做到什么程度。`, { step: 'result', field: 'objective' });
+    }
+
+    const styles = (spec.style || []).filter(Boolean);
+    if (!styles.length) {
+        add('style-default', 'info', '没有选择风格，将使用默认的“专业、清晰”。', { step: 'tagging' });
+    }
+    if (!spec.tone && !answered(spec, 'q_tone')) {
+        add('tone-default', 'info', '没有指定语气，将使用默认的“自然得体”。', { step: 'tagging' });
+    }
+    if (!spec.audience && !answered(spec, 'q_audience')) {
+        add('audience-default', 'warning', '没有说明目标受众，将默认为“普通用户”。', { step: 'result', field: 'audience' });
+    }
+    if (!spec.responseFormat && !answered(spec, 'q_format')) {
+        add('response-default', 'info', '没有指定输出格式，将默认为“结构化 Markdown”。', { step: 'wizard', questionId: 'q_format' });
+    }
+    if (!(spec.industries || []).filter(Boolean).length && !spec.background) {
+        add('context-generic', 'info', '没有行业或背景信息，角色设定会比较泛。', { step: 'tagging' });
+    }
+
+    const tags = [...styles, spec.tone].filter(Boolean);
+    CONFLICTING_TAGS
+        .filter(([a, b]) => tags.includes(a) && tags.includes(b))
+        .forEach(([a, b]) => add(`conflict-${a}-${b}`, 'warning', `“${a}”和“${b}”互相矛盾，建议只保留一个。`, { step: 'tagging' }));
+
+    if (!(spec.constraints || []).filter(Boolean).length) {
+        add('constraints-missing', 'warning', '没有任何限制条件，可以加上字数、禁用词或格式要求。', { step: 'tagging' });
+    }
+    if (!Object.values(spec.userInputs || {}).some(hasAnswer)) {
+        add('inputs-empty', 'warning', '没有回答任何问题，补充细节能让结果更贴合需求。', { step: 'wizard' });
+    }
+
+    const tokens = estimateTokens(text, profile);
+    if (tokens > LONG_PROMPT_TOKENS) {
+        add('prompt-long', 'info', `提示词约 ${tokens} tokens，较长，可以精简背景或限制条件。`, { step: 'tagging' });
+    }
+
+    const penalty = issues.reduce((sum, issue) => sum + PENALTIES[issue.severity], 0);
+    return { score: Math.max(0, 100 - penalty), tokens, issues };
+};
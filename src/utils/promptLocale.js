@@ -0,0 +1,89 @@
+/**
+ * @file promptLocale.js
+ * @description Locale support for the prompt engine.
+ * Resolves scaffold strings from the per-locale tables in `data/promptStrings.js`,
+ * including the bilingual mode that pairs Chinese and English text.
+ *
+ * @module Utils/PromptLocale
+ * @author Feng
+ * @date 2026-10-19
+ */
+
+import { promptStrings } from '../data/promptStrings';
+
+/** Default prompt locale. */
+export const DEFAULT_LOCALE = 'zh';
+
+/**
+ * Prompt locales supported by the engine.
+ */
+export const PROMPT_LOCALES = [
+    { id: 'zh', label: '中文' },
+    { id: 'en', label: 'English' },
+    { id: 'bilingual', label: '中英双语' }
+];
+
+/** Separator placed between the Chinese and English halves of a bilingual string. */
+const BILINGUAL_JOINER = ' / ';
+
+/**
+ * Reads a dot-separated path (e.g., 'sections.role') from a string table.
+ *
+ * @param {Object} table - The string table.
+ * @param {string} path - Dot-separated key path.
+ * @returns {*} The value at the path, or undefined.
+ */
+const lookup = (table, path) => path
+    .split('.')
+    .reduce((node, key) => (node == null ? undefined : node[key]), table);
+
+/**
+ * Turns a table value into text, calling it with the arguments if it is a function.
+ *
+ * @param {*} value - A string, array or function from a string table.
+ * @param {Array} args - Arguments for function values.
+ * @returns {string|Array<string>} The resolved value.
+ */
+const resolve = (value, args) => (typeof value === 'function' ? value(...args) : value);
+
+/**
+ * Pairs a Chinese and an English value into a bilingual one.
+ * Arrays are paired element by element.
+ *
+ * @param {string|Array<string>} zh - The Chinese value.
+ * @param {string|Array<string>} en - The English value.
+ * @returns {string|Array<string>} The bilingual value.
+ */
+const combine = (zh, en) => {
+    if (Array.isArray(zh)) return zh.map((item, i) => combine(item, en[i]));
+    if (en === undefined || zh === en) return zh;
+    return `${zh}${BILINGUAL_JOINER}${en}`;
+};
+
+/**
+ * Resolves a scaffold string for a locale.
+ *
+ * @param {string} locale - One of the ids in `PROMPT_LOCALES`.
+ * @param {string} path - Dot-separated key path into the string table.
+ * @param {...*} args - Arguments for parameterized strings.
+ * @returns {string|Array<string>} The localized value.
+ * @throws {Error} If the key does not exist in the Chinese table.
+ */
+export const translate = (locale, path, ...args) => {
+    if (lookup(promptStrings.zh, path) === undefined) {
+        throw new Error(`Missing prompt string: ${path}`);
+    }
+
+    if (locale === 'bilingual') {
+        const override = lookup(promptStrings.bilingual, path);
+        if (override !== undefined) return resolve(override, args);
+        return combine(
+            resolve(lookup(promptStrings.zh, path), args),
+            resolve(lookup(promptStrings.en, path), args)
+        );
+    }
+
+    const table = promptStrings[locale] || promptStrings[DEFAULT_LOCALE];
+    const value = lookup(table, path);
+    return resolve(value === undefined ? lookup(promptStrings[DEFAULT_LOCALE], path) : value, args);
+};
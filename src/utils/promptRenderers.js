@@ -0,0 +1,167 @@
+/**
+ * @file promptRenderers.js
+ * @description Output format renderers for CO-STAR prompts.
+ * `CoStarBuilder.toSections()` describes the prompt as a list of format-neutral sections;
+ * each renderer here turns that list into one concrete output format.
+ *
+ * Section shape:
+ * - key: {string} Stable identifier (used for XML tags and JSON keys).
+ * - emoji: {string} Decorative heading icon (Markdown only).
+ * - title: {string} Human-readable heading.
+ * - type: {string} One of 'text', 'fields', 'pairs', 'bullets', 'steps', 'footer'.
+ * - content: {string|Array} The section body; its shape depends on `type`.
+ * - decorative: {boolean} [optional] True for sections that carry no information.
+ *
+ * @module Utils/PromptRenderers
+ * @author Feng
+ * @date 2026-10-19
+ */
+
+/**
+ * Output formats supported by `CoStarBuilder.build({ format })`.
+ */
+export const OUTPUT_FORMATS = [
+    { id: 'markdown', label: 'Markdown' },
+    { id: 'xml', label: 'XML 标签' },
+    { id: 'json', label: 'JSON' },
+    { id: 'plain', label: '纯文本' }
+];
+
+/**
+ * Converts a camelCase key to snake_case (used for XML tag names).
+ *
+ * @param {string} key - The camelCase key.
+ * @returns {string} The snake_case key.
+ */
+const toSnakeCase = (key) => key.replace(/[A-Z]/g, c => `_${c.toLowerCase()}`);
+
+/**
+ * Escapes characters that would break XML-tagged sections.
+ *
+ * @param {string} text - Raw text.
+ * @returns {string} Escaped text.
+ */
+const escapeXml = (text) => String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+
+/**
+ * Renders the body of a section as lines of text.
+ *
+ * @param {Object} section - The section to render.
+ * @param {Object} marks - Inline markup: { bold: (text) => string }.
+ * @returns {string} The rendered body.
+ */
+const renderBody = (section, marks) => {
+    switch (section.type) {
+        case 'text':
+            return section.content;
+        case 'fields':
+            return section.content.map(f => `${marks.bold(f.label)}: ${f.value}`).join('\n');
+        case 'pairs':
+            return section.content.map(p => `- ${marks.bold(p.label)}: ${p.value}`).join('\n');
+        case 'bullets':
+            return section.content.map(item => `- ${item}`).join('\n');
+        case 'steps':
+            return section.content.map((step, i) => `${i + 1}. ${step}`).join('\n');
+        default:
+            return '';
+    }
+};
+
+/**
+ * Renders sections as a Markdown document with emoji headings.
+ *
+ * @param {Array<Object>} sections - The prompt sections.
+ * @returns {string} The Markdown prompt.
+ */
+const renderMarkdown = (sections) => sections
+    .map(section => section.type === 'footer'
+        ? `# ${section.emoji} ${section.title}`
+        : `# ${section.emoji} ${section.title}\n${renderBody(section, { bold: t => `**${t}**` })}`)
+    .join('\n\n')
+    .trim();
+
+/**
+ * Renders sections as plain text: no emoji, no Markdown markup.
+ *
+ * @param {Array<Object>} sections - The prompt sections.
+ * @returns {string} The plain-text prompt.
+ */
+const renderPlain = (sections) => sections
+    .map(section => section.type === 'footer'
+        ? section.title
+        : `${section.title}\n${renderBody(section, { bold: t => t })}`)
+    .join('\n\n')
+    .trim();
+
+/**
+ * Renders sections as XML-tagged blocks, e.g. `<context>…</context>`.
+ * Each CO-STAR field gets its own tag; decorative sections are dropped.
+ *
+ * @param {Array<Object>} sections - The prompt sections.
+ * @returns {string} The XML-tagged prompt.
+ */
+const renderXml = (sections) => {
+    const tag = (key, body) => `<${toSnakeCase(key)}>\n${body}\n</${toSnakeCase(key)}>`;
+
+    return sections
+        .filter(section => !section.decorative)
+        .map(section => {
+            if (section.type === 'fields') {
+                return section.content.map(f => tag(f.key, escapeXml(f.value))).join('\n');
+            }
+            return tag(section.key, escapeXml(renderBody(section, { bold: t => t })));
+        })
+        .join('\n\n');
+};
+
+/**
+ * Renders sections as a JSON object with one key per CO-STAR section.
+ * Decorative sections are dropped.
+ *
+ * @param {Array<Object>} sections - The prompt sections.
+ * @returns {string} The pretty-printed JSON prompt.
+ */
+const renderJson = (sections) => {
+    const result = {};
+
+    sections
+        .filter(section => !section.decorative)
+        .forEach(section => {
+            if (section.type === 'fields') {
+                section.content.forEach(f => { result[f.key] = f.value; });
+            } else if (section.type === 'pairs') {
+                result[section.key] = Object.fromEntries(section.content.map(p => [p.label, p.value]));
+            } else {
+                result[section.key] = section.content;
+            }
+        });
+
+    return JSON.stringify(result, null, 2);
+};
+
+/** Renderer lookup keyed by format id. */
+const renderers = {
+    markdown: renderMarkdown,
+    xml: renderXml,
+    json: renderJson,
+    plain: renderPlain
+};
+
+/**
+ * Renders prompt sections in the requested output format.
+ *
+ * @param {Array<Object>} sections - The prompt sections from `CoStarBuilder.toSections()`.
+ * @param {string} [format='markdown'] - One of the ids in `OUTPUT_FORMATS`.
+ * @returns {string} The rendered prompt.
+ * @throws {Error} If the format is unknown.
+ */
+export const renderPrompt = (sections, format = 'markdown') => {
+    const render = renderers[format];
+    if (!render) {
+        throw new Error(`Unknown prompt format: ${format}`);
+    }
+    return render(sections);
+};
@@ -0,0 +1,80 @@
+/**
+ * @file questionPlanner.js
+ * @description Builds the Wizard's question list from the question bank.
+ * Questions are selected by category according to the `questionCategories` registered for the task type,
+ * so new questions only need to be added to `data/questions.js`.
+ *
+ * @module Utils/QuestionPlanner
+ * @author Feng
+ * @date 2026-10-19
+ */
+
+import { questions as questionBank } from '../data/questions';
+import { getTaskType, listTaskTypes, FALLBACK_TYPE } from './taskClassifier';
+
+/**
+ * Returns the categories a question belongs to.
+ * A question may declare a single `category` string or an array of categories.
+ *
+ * @param {Object} question - A question object from the bank.
+ * @returns {Array<string>} The list of categories.
+ */
+const categoriesOf = (question) => (
+    Array.isArray(question.category) ? question.category : [question.category]
+);
+
+/**
+ * Selects questions for the given categories, preserving category order first
+ * and bank order second. Questions are de-duplicated by `id` (first occurrence wins).
+ *
+ * @param {Array<string>} categories - Ordered list of categories to pick from.
+ * @param {Array<Object>} [bank=questionBank] - The question bank to select from.
+ * @returns {Array<Object>} The ordered, de-duplicated list of questions.
+ */
+export const pickQuestions = (categories, bank = questionBank) => {
+    const seen = new Set();
+    const picked = [];
+
+    categories.forEach(category => {
+        bank
+            .filter(q => categoriesOf(q).includes(category))
+            .forEach(q => {
+                if (seen.has(q.id)) return;
+                seen.add(q.id);
+                picked.push(q);
+            });
+    });
+
+    return picked;
+};
+
+/**
+ * Plans the Wizard questions for a detected task type.
+ *
+ * @param {string} taskType - The task type (e.g., 'Coding', 'MarketingCopy', 'General').
+ * @returns {Array<Object>} The list of question objects {id, text, subText, ...} to ask.
+ */
+export const planQuestions = (taskType) => {
+    const definition = getTaskType(taskType) || getTaskType(FALLBACK_TYPE);
+    return pickQuestions(definition ? definition.questionCategories : []);
+};
+
+/**
+ * Finds bank questions that no registered task type asks for, e.g. after adding a question
+ * in a category no task type lists.
+ *
+ * @param {Array<Object>} [bank=questionBank] - The question bank to check.
+ * @returns {Array<Object>} The questions that can never appear in the Wizard.
+ */
+export const findUnreachableQuestions = (bank = questionBank) => {
+    const askedCategories = new Set(listTaskTypes().flatMap(type => type.questionCategories || []));
+    return bank.filter(q => !categoriesOf(q).some(category => askedCategories.has(category)));
+};
+
+// Development check of the built-in question bank against the built-in task types
+if (import.meta.env?.DEV) {
+    const unreachable = findUnreachableQuestions();
+    if (unreachable.length > 0) {
+        console.warn(`Questions no task type asks for: ${unreachable.map(q => q.id).join(', ')}`);
+    }
+}
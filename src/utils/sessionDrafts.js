@@ -0,0 +1,152 @@
+/**
+ * @file sessionDrafts.js
+ * @description Autosave of the prompt being built, and a short list of recent drafts.
+ * The current session (task, answers, tags, step and wizard position) is written to Local Storage
+ * as the user works, so a refresh or an accidental click on the logo does not lose it. When a new
+ * task is started, or a saved session is not resumed, the previous session moves to the recent drafts.
+ * Drafts are kept apart from the saved templates and capped at `MAX_DRAFTS`.
+ *
+ * Session shape: {id, updatedAt, step, wizardIndex, taskInput, taskType, answers, selectedStyles,
+ * selectedIndustries, selectedTone, persona, customConstraints, disabledPresetConstraints, outputFormat,
+ * promptLocale, tokenSettings, loadedTemplateId, resultSpec, generatedPrompt}, where resultSpec holds the
+ * result view's edits and generatedPrompt is only set for a free-edited text.
+ *
+ * @module Utils/SessionDrafts
+ * @author Feng
+ * @date 2026-10-19
+ */
+
+import { planQuestions } from './questionPlanner';
+
+/** Local Storage key of the current session. */
+const SESSION_KEY = 'bubble_session';
+
+/** Local Storage key of the recent drafts. */
+const DRAFTS_KEY = 'bubble_drafts';
+
+/** How many recent drafts are kept. */
+export const MAX_DRAFTS = 5;
+
+/** Display names of the steps a session can be resumed at. */
+export const STEP_LABELS = {
+    input: '填写任务',
+    confirm: '确认类型',
+    wizard: '回答问题',
+    tagging: '选择风格',
+    result: '查看结果'
+};
+
+/**
+ * Describes where a session stopped, e.g. "回答问题 · 第 3 题".
+ *
+ * @param {Object} session - The session.
+ * @returns {string} The description.
+ */
+export const describeProgress = (session) => {
+    const label = STEP_LABELS[session.step];
+    if (session.step !== 'wizard') return label;
+    const isReview = session.wizardIndex >= planQuestions(session.taskType || 'General').length;
+    return `${label} · ${isReview ? '检查答案' : `第 ${(session.wizardIndex || 0) + 1} 题`}`;
+};
+
+/**
+ * Reads a JSON value from Local Storage; unreadable values are dropped.
+ *
+ * @param {string} key - The storage key.
+ * @param {*} fallback - The value to use if nothing (usable) is stored.
+ * @returns {*} The stored value or the fallback.
+ */
+const readJson = (key, fallback) => {
+    try {
+        const value = JSON.parse(localStorage.getItem(key));
+        return value ?? fallback;
+    } catch {
+        localStorage.removeItem(key);
+        return fallback;
+    }
+};
+
+/**
+ * Writes a JSON value to Local Storage. A full storage only costs the autosave, never the app.
+ *
+ * @param {string} key - The storage key.
+ * @param {*} value - The value.
+ */
+const writeJson = (key, value) => {
+    try {
+        localStorage.setItem(key, JSON.stringify(value));
+    } catch (err) {
+        console.warn('Autosave failed:', err);
+    }
+};
+
+/**
+ * Checks whether a session holds anything worth resuming.
+ *
+ * @param {Object|null} session - The session.
+ * @returns {boolean} Whether the session has a task.
+ */
+export const isResumable = (session) => Boolean(session && typeof session.taskInput === 'string' && session.taskInput.trim() && STEP_LABELS[session.step]);
+
+/**
+ * Reads the autosaved session.
+ *
+ * @returns {Object|null} The session, or null if there is none worth resuming.
+ */
+export const loadSession = () => {
+    const session = readJson(SESSION_KEY, null);
+    return isResumable(session) ? session : null;
+};
+
+/**
+ * Autosaves the current session.
+ *
+ * @param {Object} session - The session.
+ */
+export const saveSession = (session) => {
+    writeJson(SESSION_KEY, { ...session, updatedAt: new Date().toISOString() });
+};
+
+/**
+ * Removes the autosaved session.
+ */
+export const clearSession = () => {
+    localStorage.removeItem(SESSION_KEY);
+};
+
+/**
+ * Lists the recent drafts, newest first.
+ *
+ * @returns {Array<Object>} The drafts (sessions).
+ */
+export const listDrafts = () => {
+    const drafts = readJson(DRAFTS_KEY, []);
+    return Array.isArray(drafts) ? drafts.filter(isResumable) : [];
+};
+
+/**
+ * Moves a session to the top of the recent drafts, replacing an older copy of it.
+ * Sessions without a task are ignored.
+ *
+ * @param {Object} session - The session.
+ * @returns {Array<Object>} The updated drafts.
+ */
+export const pushDraft = (session) => {
+    const drafts = listDrafts().filter(d => d.id !== session.id);
+    if (isResumable(session)) drafts.unshift({ updatedAt: new Date().toISOString(), ...session });
+    const next = drafts.slice(0, MAX_DRAFTS);
+    writeJson(DRAFTS_KEY, next);
+    return next;
+};
+
+/**
+ * Removes a draft.
+ *
+ * @param {number} id - The session id of the draft.
+ * @returns {Array<Object>} The updated drafts.
+ */
+export const removeDraft = (id) => {
+    const next = listDrafts().filter(d => d.id !== id);
+    writeJson(DRAFTS_KEY, next);
+    return next;
+};
@@ -0,0 +1,147 @@
+/**
+ * @file taskClassifier.js
+ * @description A pluggable, rule-based task classifier.
+ * Task types register weighted keywords and negative keywords; every registered type is scored
+ * against the input and the best match is returned together with a confidence score and the
+ * runner-up types. Built-in types are loaded from `data/taskTypes.js`.
+ *
+ * @module Utils/TaskClassifier
+ * @author Feng
+ * @date 2026-10-19
+ */
+
+import { taskTypes as builtInTaskTypes } from '../data/taskTypes';
+
+/** Type returned when no registered type matches the input. */
+export const FALLBACK_TYPE = 'General';
+
+/**
+ * Probability mass reserved for "none of the above".
+ * Keeps a single weak keyword hit from reporting 100% confidence.
+ */
+const UNCERTAINTY_SCORE = 1;
+
+/** @type {Map<string, Object>} Registered task type definitions keyed by type. */
+const registry = new Map();
+
+/**
+ * Registers (or replaces) a task type definition.
+ *
+ * @param {Object} definition - The task type definition (see `data/taskTypes.js` for the shape).
+ * @returns {Object} The normalized definition that was registered.
+ */
+export const registerTaskType = (definition) => {
+    if (!definition || !definition.type) {
+        throw new Error('registerTaskType: definition.type is required');
+    }
+
+    const normalized = {
+        label: definition.type,
+        keywords: {},
+        negativeKeywords: {},
+        questionCategories: [],
+        essentialQuestions: [],
+        baseScore: 0,
+        ...definition
+    };
+    registry.set(normalized.type, normalized);
+    return normalized;
+};
+
+/**
+ * Looks up a registered task type definition.
+ *
+ * @param {string} type - The task type identifier.
+ * @returns {Object|undefined} The definition, if registered.
+ */
+export const getTaskType = (type) => registry.get(type);
+
+/**
+ * Lists all registered task type definitions in registration order.
+ *
+ * @returns {Array<Object>} The registered definitions.
+ */
+export const listTaskTypes = () => [...registry.values()];
+
+/**
+ * Checks whether a keyword occurs in the (lower-cased) input.
+ * Latin keywords must stand on their own (so 'ad' does not match 'read'),
+ * while CJK keywords match anywhere since Chinese text has no word separators.
+ *
+ * @param {string} text - The lower-cased input text.
+ * @param {string} keyword - The keyword to look for.
+ * @returns {boolean} True if the keyword occurs in the text.
+ */
+const containsKeyword = (text, keyword) => {
+    const needle = keyword.toLowerCase();
+    if (!/^[\x20-\x7e]+$/.test(needle)) return text.includes(needle);
+
+    const escaped = needle.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    return new RegExp(`(?<![a-z0-9])${escaped}(?![a-z0-9])`).test(text);
+};
+
+/**
+ * Sums the weights of all keywords from the map that occur in the text.
+ *
+ * @param {string} text - The lower-cased input text.
+ * @param {Object<string, number>} weights - Keyword -> weight map.
+ * @returns {number} The total weight of matched keywords.
+ */
+const sumMatches = (text, weights) => Object.entries(weights)
+    .filter(([keyword]) => containsKeyword(text, keyword))
+    .reduce((total, [, weight]) => total + weight, 0);
+
+/**
+ * Scores every registered task type against the input.
+ *
+ * @param {string} input - The raw text input from the user.
+ * @returns {Array<Object>} Scored entries {type, label, score}, highest score first.
+ */
+export const scoreTaskTypes = (input) => {
+    const text = (input || '').toLowerCase();
+
+    return listTaskTypes()
+        .map(def => {
+            const raw = def.baseScore
+                + sumMatches(text, def.keywords)
+                - sumMatches(text, def.negativeKeywords);
+            return { type: def.type, label: def.label, score: Math.max(0, raw) };
+        })
+        .sort((a, b) => b.score - a.score);
+};
+
+/**
+ * Classifies the input into the best matching task type.
+ *
+ * @param {string} input - The raw text input from the user.
+ * @returns {Object} The classification result containing:
+ * - type: {string} The top task type.
+ * - label: {string} Display name of the top task type.
+ * - confidence: {number} Confidence of the top type, between 0 and 1.
+ * - alternatives: {Array<Object>} Runner-up types {type, label, confidence} that also matched, best first.
+ */
+export const classifyTask = (input) => {
+    const scored = scoreTaskTypes(input).filter(s => s.score > 0);
+    const total = scored.reduce((sum, s) => sum + s.score, 0) + UNCERTAINTY_SCORE;
+    const withConfidence = scored.map(s => ({
+        type: s.type,
+        label: s.label,
+        confidence: s.score / total
+    }));
+
+    const [top, ...alternatives] = withConfidence;
+    if (!top) {
+        const fallback = getTaskType(FALLBACK_TYPE);
+        return {
+            type: FALLBACK_TYPE,
+            label: fallback ? fallback.label : FALLBACK_TYPE,
+            confidence: 0,
+            alternatives: []
+        };
+    }
+
+    return { ...top, alternatives };
+};
+
+// Register the built-in task types
+builtInTaskTypes.forEach(registerTaskType);
@@ -0,0 +1,89 @@
+/**
+ * @file templateSearch.js
+ * @description Search, filtering and sorting of the saved templates in the Bubble Box.
+ * - Search matches every word of the query against the name, task and generated prompt.
+ * - Filter chips are built from the saved `tags` and `taskType`; a template must match all active chips.
+ * - Favorites are always listed first, then the chosen sort order applies.
+ *
+ * @module Utils/TemplateSearch
+ * @author Feng
+ * @date 2026-10-19
+ */
+
+import { getTaskType } from './taskClassifier';
+
+/** Available sort orders. */
+export const TEMPLATE_SORTS = [
+    { id: 'date', label: '最新' },
+    { id: 'name', label: '名称' },
+    { id: 'usage', label: '最常用' }
+];
+
+/** Comparators per sort order. */
+const COMPARATORS = {
+    date: (a, b) => new Date(b.date) - new Date(a.date),
+    name: (a, b) => a.name.localeCompare(b.name, 'zh-CN'),
+    usage: (a, b) => (b.useCount || 0) - (a.useCount || 0) || new Date(b.date) - new Date(a.date)
+};
+
+/**
+ * Builds the filter chips for a list of templates: one per task type, then one per tag,
+ * each with the number of templates it matches. Chips are ordered by that count.
+ *
+ * @param {Array<Object>} templates - The saved templates.
+ * @returns {Array<Object>} The chips {key, kind: 'type'|'tag', value, label, count}.
+ */
+export const buildFilterChips = (templates) => {
+    const chips = new Map();
+    const count = (kind, value, label) => {
+        const key = `${kind}:${value}`;
+        const chip = chips.get(key) || { key, kind, value, label, count: 0 };
+        chip.count++;
+        chips.set(key, chip);
+    };
+
+    templates.forEach(tpl => {
+        const type = tpl.taskType || 'General';
+        count('type', type, getTaskType(type)?.label || type);
+        new Set(tpl.tags || []).forEach(tag => count('tag', tag, `#${tag}`));
+    });
+
+    const all = [...chips.values()];
+    const byCount = (a, b) => b.count - a.count;
+    return [...all.filter(c => c.kind === 'type').sort(byCount), ...all.filter(c => c.kind === 'tag').sort(byCount)];
+};
+
+/**
+ * Checks whether a template matches a filter chip.
+ *
+ * @param {Object} tpl - The template.
+ * @param {string} key - The chip key ('type:Coding', 'tag:教育').
+ * @returns {boolean} Whether the template matches.
+ */
+const matchesChip = (tpl, key) => {
+    const [kind, ...rest] = key.split(':');
+    const value = rest.join(':');
+    return kind === 'type' ? (tpl.taskType || 'General') === value : (tpl.tags || []).includes(value);
+};
+
+/**
+ * Filters and sorts templates.
+ *
+ * @param {Array<Object>} templates - The saved templates.
+ * @param {Object} [options] - Search options.
+ * @param {string} [options.query=''] - Full-text query; every whitespace-separated word must match.
+ * @param {Array<string>} [options.chips=[]] - Keys of the active filter chips.
+ * @param {string} [options.sort='date'] - The sort order (see `TEMPLATE_SORTS`).
+ * @returns {Array<Object>} The matching templates, favorites first.
+ */
+export const searchTemplates = (templates, { query = '', chips = [], sort = 'date' } = {}) => {
+    const words = query.toLowerCase().split(/\s+/).filter(Boolean);
+    const compare = COMPARATORS[sort] || COMPARATORS.date;
+
+    return templates
+        .filter(tpl => {
+            const haystack = [tpl.name, tpl.taskInput, tpl.generatedPrompt].filter(Boolean).join('\n').toLowerCase();
+            return words.every(word => haystack.includes(word)) && chips.every(key => matchesChip(tpl, key));
+        })
+        .sort((a, b) => Number(Boolean(b.favorite)) - Number(Boolean(a.favorite)) || compare(a, b));
+};
@@ -0,0 +1,386 @@
+/**
+ * @file templateStore.js
+ * @description Persistent storage of the saved templates (the Bubble Box).
+ * Templates live in IndexedDB, which holds far more than the localStorage quota and writes one
+ * record at a time. Where IndexedDB is unavailable (e.g., some private browsing modes) the store
+ * falls back to a localStorage array under the original `bubble_templates` key.
+ *
+ * Every record carries a `schemaVersion`. Records of older shapes are migrated when read and written
+ * back; records with broken fields are repaired with defaults, and records that cannot be repaired are
+ * set aside under a backup key instead of crashing the app. Templates kept in localStorage by earlier
+ * releases are moved into IndexedDB on first use.
+ *
+ * All functions are async and resolve once the change is stored.
+ *
+ * @module Utils/TemplateStore
+ * @author Feng
+ * @date 2026-10-19
+ */
+
+import { searchTemplates } from './templateSearch';
+
+/** The current record shape; see `MIGRATIONS`. */
+export const SCHEMA_VERSION = 2;
+
+/** localStorage key of the templates (fallback storage, and storage of earlier releases). */
+const LEGACY_KEY = 'bubble_templates';
+
+/** localStorage key where unreadable records are set aside. */
+const CORRUPT_KEY = 'bubble_templates_corrupt';
+
+const DB_NAME = 'bubble-prompt';
+const DB_VERSION = 1;
+const STORE_NAME = 'templates';
+
+const isObject = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+const isString = (value) => typeof value === 'string';
+const isStringList = (value) => Array.isArray(value) && value.every(isString);
+
+/** Text and list fields of a prompt spec (see `CoStarBuilder.toSpec`); the result view edits them all. */
+const SPEC_TEXT_FIELDS = ['role', 'background', 'objective', 'tone', 'audience', 'responseFormat'];
+const SPEC_LIST_FIELDS = ['industries', 'expertise', 'style', 'constraints'];
+
+/**
+ * Checks a prompt spec: every text and list field present with its type, the user inputs an object.
+ *
+ * @param {*} value - The value to check.
+ * @returns {boolean} Whether the value is a usable spec.
+ */
+const isSpec = (value) => isObject(value)
+    && SPEC_TEXT_FIELDS.every(field => isString(value[field]))
+    && SPEC_LIST_FIELDS.every(field => isStringList(value[field]))
+    && isObject(value.userInputs)
+    && (value.locale === undefined || isString(value.locale))
+    && (value.expertiseYears === undefined || isString(value.expertiseYears) || Number.isFinite(value.expertiseYears))
+    && (value.questions === undefined || (Array.isArray(value.questions) && value.questions.every(isObject)));
+
+/**
+ * Schema of a template: a check per field and whether the field is required.
+ * Optional fields may be missing but must have the right type when present.
+ */
+export const TEMPLATE_SCHEMA = {
+    name: { check: (v) => isString(v) && v.trim() !== '', required: true },
+    taskInput: { check: isString, required: true },
+    answers: { check: isObject, required: true },
+    selectedStyles: { check: isStringList, required: true },
+    selectedIndustries: { check: isStringList, required: true },
+    id: { check: (v) => isString(v) || Number.isFinite(v) },
+    date: { check: (v) => isString(v) && !Number.isNaN(Date.parse(v)) },
+    taskType: { check: isString },
+    selectedTone: { check: isString },
+    persona: { check: isObject },
+    customConstraints: { check: isStringList },
+    disabledPresetConstraints: { check: isStringList },
+    customTags: { check: (v) => isObject(v) && Object.values(v).every(isStringList) },
+    outputFormat: { check: isString },
+    promptLocale: { check: isString },
+    generatedPrompt: { check: isString },
+    spec: { check: isSpec },
+    tags: { check: isStringList },
+    favorite: { check: (v) => typeof v === 'boolean' },
+    useCount: { check: (v) => Number.isInteger(v) && v >= 0 },
+    version: { check: (v) => Number.isInteger(v) && v >= 1 },
+    restoredFrom: { check: (v) => Number.isInteger(v) && v >= 1 },
+    versions: {
+        check: (v) => Array.isArray(v) && v.every(item => (
+            isObject(item) && Number.isInteger(item.version) && (item.spec === undefined || isSpec(item.spec))
+        ))
+    }
+};
+
+/** Values used to repair broken required fields. */
+const REQUIRED_DEFAULTS = {
+    name: () => '未命名泡泡',
+    taskInput: () => '',
+    answers: () => ({}),
+    selectedStyles: () => [],
+    selectedIndustries: () => []
+};
+
+/**
+ * Record migrations: `MIGRATIONS[n]` turns a record of schema version n into version n + 1.
+ * - 0 -> 1: records of the first release had no task type, tone or tag list.
+ * - 1 -> 2: templates became versioned; existing ones are version 1.
+ */
+const MIGRATIONS = [
+    (record) => ({
+        taskType: 'General',
+        selectedTone: '',
+        tags: [record.selectedStyles, record.selectedIndustries].filter(isStringList).flat(),
+        ...record
+    }),
+    (record) => ({ version: 1, ...record })
+];
+
+/**
+ * Brings a record to the current schema: runs the pending migrations, then repairs broken fields.
+ * Broken required fields are reset to defaults; broken optional fields are dropped, so the app
+ * falls back to its usual defaults for them.
+ *
+ * @param {*} raw - The stored record.
+ * @returns {Object|null} The current record, or null if it has no usable id.
+ */
+const upgradeRecord = (raw) => {
+    if (!isObject(raw) || !TEMPLATE_SCHEMA.id.check(raw.id)) return null;
+
+    let record = { ...raw };
+    for (let v = Number.isInteger(raw.schemaVersion) ? raw.schemaVersion : 0; v < SCHEMA_VERSION; v++) {
+        record = MIGRATIONS[v](record);
+    }
+
+    Object.entries(TEMPLATE_SCHEMA).forEach(([field, { check, required }]) => {
+        const value = record[field];
+        if (value === undefined || value === null) {
+            if (required) record[field] = REQUIRED_DEFAULTS[field]();
+        } else if (!check(value)) {
+            if (required) record[field] = REQUIRED_DEFAULTS[field]();
+            else delete record[field];
+        }
+    });
+    if (!record.date) record.date = new Date().toISOString();
+    record.schemaVersion = SCHEMA_VERSION;
+    return record;
+};
+
+/**
+ * Appends unreadable data to the backup key, so it can still be rescued by hand.
+ *
+ * @param {*} data - The unreadable records or raw text.
+ */
+const setAside = (data) => {
+    try {
+        const backup = JSON.parse(localStorage.getItem(CORRUPT_KEY) || '[]');
+        localStorage.setItem(CORRUPT_KEY, JSON.stringify([...(Array.isArray(backup) ? backup : []), { date: new Date().toISOString(), data }]));
+    } catch (err) {
+        console.warn('Could not back up corrupt templates:', err);
+    }
+};
+
+/**
+ * Reads the localStorage template array. Unparseable contents are set aside and read as empty.
+ *
+ * @returns {Array<*>} The stored records (not yet upgraded).
+ */
+const readLocalRecords = () => {
+    const raw = localStorage.getItem(LEGACY_KEY);
+    if (!raw) return [];
+    try {
+        const records = JSON.parse(raw);
+        if (Array.isArray(records)) return records;
+    } catch {
+        // Falls through to the recovery below
+    }
+    console.warn('Stored templates are corrupt and were set aside.');
+    setAside(raw);
+    localStorage.removeItem(LEGACY_KEY);
+    return [];
+};
+
+/**
+ * Storage backend on a localStorage array (newest first).
+ *
+ * @returns {Object} The backend {getAll, get, putMany, replaceAll, delete}.
+ */
+const createLocalBackend = () => {
+    const write = (records) => localStorage.setItem(LEGACY_KEY, JSON.stringify(records));
+    return {
+        getAll: async () => readLocalRecords(),
+        get: async (id) => readLocalRecords().find(r => isObject(r) && r.id === id),
+        putMany: async (list) => {
+            const records = readLocalRecords();
+            list.forEach(record => {
+                const index = records.findIndex(r => isObject(r) && r.id === record.id);
+                if (index >= 0) records[index] = record;
+                else records.unshift(record);
+            });
+            write(records);
+        },
+        replaceAll: async (records) => write(records),
+        delete: async (id) => write(readLocalRecords().filter(r => !isObject(r) || r.id !== id))
+    };
+};
+
+/**
+ * Wraps an IndexedDB request in a promise.
+ *
+ * @param {IDBRequest} request - The request.
+ * @returns {Promise<*>} Resolves with the request result.
+ */
+const promisify = (request) => new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+});
+
+/**
+ * Opens (and on first use creates) the template database.
+ *
+ * @returns {Promise<IDBDatabase>} The database.
+ */
+const openDatabase = () => {
+    if (typeof indexedDB === 'undefined') return Promise.reject(new Error('IndexedDB is not available'));
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+        if (!request.result.objectStoreNames.contains(STORE_NAME)) {
+            request.result.createObjectStore(STORE_NAME, { keyPath: 'id' });
+        }
+    };
+    return promisify(request);
+};
+
+/**
+ * Storage backend on an IndexedDB object store keyed by template id.
+ *
+ * @param {IDBDatabase} db - The open database.
+ * @returns {Object} The backend {getAll, get, putMany, replaceAll, delete}.
+ */
+const createIndexedDbBackend = (db) => {
+    /**
+     * Runs a write transaction and resolves once it is committed.
+     *
+     * @param {Function} fn - Called with the object store to queue the writes.
+     * @returns {Promise<void>}
+     */
+    const write = (fn) => new Promise((resolve, reject) => {
+        const tx = db.transaction(STORE_NAME, 'readwrite');
+        fn(tx.objectStore(STORE_NAME));
+        tx.oncomplete = () => resolve();
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error);
+    });
+    const read = () => db.transaction(STORE_NAME, 'readonly').objectStore(STORE_NAME);
+
+    return {
+        getAll: () => promisify(read().getAll()),
+        get: (id) => promisify(read().get(id)),
+        putMany: (list) => write(store => list.forEach(record => store.put(record))),
+        replaceAll: (records) => write(store => {
+            store.clear();
+            records.forEach(record => store.put(record));
+        }),
+        delete: (id) => write(store => store.delete(id))
+    };
+};
+
+/**
+ * Moves templates kept in localStorage by earlier releases into IndexedDB.
+ * The localStorage copy is removed only after the records are stored.
+ *
+ * @param {Object} backend - The IndexedDB backend.
+ */
+const migrateLocalRecords = async (backend) => {
+    const records = readLocalRecords();
+    if (!records.length) return;
+    const upgraded = records.map(upgradeRecord);
+    if (upgraded.includes(null)) setAside(records.filter((r, i) => !upgraded[i]));
+    await backend.putMany(upgraded.filter(Boolean));
+    localStorage.removeItem(LEGACY_KEY);
+};
+
+let backendPromise = null;
+
+/**
+ * Picks the storage backend once: IndexedDB if it opens, localStorage otherwise.
+ *
+ * @returns {Promise<Object>} The backend.
+ */
+const getBackend = () => {
+    if (!backendPromise) {
+        backendPromise = openDatabase()
+            .then(async (db) => {
+                const backend = createIndexedDbBackend(db);
+                await migrateLocalRecords(backend);
+                return backend;
+            })
+            .catch((err) => {
+                console.warn('IndexedDB unavailable, storing templates in localStorage:', err);
+                return createLocalBackend();
+            });
+    }
+    return backendPromise;
+};
+
+/**
+ * Lists all templates, newest first.
+ * Outdated records are migrated and written back; unusable ones are set aside and removed.
+ *
+ * @returns {Promise<Array<Object>>} The templates.
+ */
+export const listTemplates = async () => {
+    const backend = await getBackend();
+    const records = await backend.getAll();
+    const templates = [];
+    const changed = [];
+    const unusable = [];
+
+    records.forEach(raw => {
+        const record = upgradeRecord(raw);
+        if (!record) unusable.push(raw);
+        else {
+            templates.push(record);
+            if (JSON.stringify(record) !== JSON.stringify(raw)) changed.push(record);
+        }
+    });
+
+    if (unusable.length) {
+        console.warn(`${unusable.length} corrupt template(s) were set aside.`);
+        setAside(unusable);
+        // Records without a usable id can't be addressed, so the whole store is rewritten
+        await backend.replaceAll(templates);
+    } else if (changed.length) {
+        await backend.putMany(changed);
+    }
+
+    return templates.sort((a, b) => new Date(b.date) - new Date(a.date));
+};
+
+/**
+ * Looks up one template.
+ *
+ * @param {number|string} id - The template id.
+ * @returns {Promise<Object|undefined>} The template, if stored and usable.
+ */
+export const getTemplate = async (id) => {
+    const raw = await (await getBackend()).get(id);
+    return raw === undefined ? undefined : upgradeRecord(raw) || undefined;
+};
+
+/**
+ * Stores templates (inserting new ones, replacing those with the same id).
+ *
+ * @param {Array<Object>} list - The templates.
+ * @returns {Promise<Array<Object>>} The stored records.
+ * @throws {Error} If a template has no usable id.
+ */
+export const putTemplates = async (list) => {
+    const records = list.map(tpl => {
+        const record = upgradeRecord(tpl);
+        if (!record) throw new Error('Template has no valid id');
+        return record;
+    });
+    await (await getBackend()).putMany(records);
+    return records;
+};
+
+/**
+ * Stores one template (inserting it, or replacing the one with the same id).
+ *
+ * @param {Object} tpl - The template.
+ * @returns {Promise<Object>} The stored record.
+ */
+export const putTemplate = async (tpl) => (await putTemplates([tpl]))[0];
+
+/**
+ * Deletes a template.
+ *
+ * @param {number|string} id - The template id.
+ * @returns {Promise<void>}
+ */
+export const deleteTemplate = async (id) => (await getBackend()).delete(id);
+
+/**
+ * Searches the templates (see `searchTemplates` for the options).
+ *
+ * @param {Object} [options] - Search options {query, chips, sort}.
+ * @returns {Promise<Array<Object>>} The matching templates.
+ */
+export const queryTemplates = async (options) => searchTemplates(await listTemplates(), options);
@@ -0,0 +1,211 @@
+/**
+ * @file templateTransfer.js
+ * @description Import and export of saved templates as JSON files.
+ * The file is versioned and holds the structured inputs of each template (task, task type, answers,
+ * tags, persona, constraints, output settings), not only the generated text, so an imported template
+ * can be edited and regenerated like one saved locally.
+ *
+ * File format (version 1):
+ * {
+ *   format: 'bubble-prompt/templates',
+ *   version: 1,
+ *   exportedAt: ISO date,
+ *   templates: [{ id, name, date, taskInput, taskType, answers, selectedStyles, selectedIndustries,
+ *                 selectedTone, persona, customConstraints, disabledPresetConstraints, customTags,
+ *                 outputFormat, promptLocale, generatedPrompt, spec, tags, favorite, useCount,
+ *                 version, restoredFrom, versions: [{ version, date, restoredFrom, ...versioned fields }] }]
+ * }
+ *
+ * @module Utils/TemplateTransfer
+ * @author Feng
+ * @date 2026-10-19
+ */
+
+import { TEMPLATE_SCHEMA } from './templateStore';
+
+/** Identifies a template file. */
+export const TEMPLATE_FILE_FORMAT = 'bubble-prompt/templates';
+
+/** The current file format version. Files from newer versions are rejected. */
+export const TEMPLATE_FILE_VERSION = 1;
+
+/** How an imported template that clashes with a saved one is handled. */
+export const CONFLICT_RESOLUTIONS = [
+    { id: 'rename', label: '重命名导入' },
+    { id: 'overwrite', label: '覆盖已有' },
+    { id: 'skip', label: '跳过' }
+];
+
+/** Template fields written to the file, in order. */
+const TEMPLATE_FIELDS = [
+    'id', 'name', 'date', 'taskInput', 'taskType', 'answers', 'selectedStyles', 'selectedIndustries',
+    'selectedTone', 'persona', 'customConstraints', 'disabledPresetConstraints', 'customTags',
+    'outputFormat', 'promptLocale', 'generatedPrompt', 'spec', 'tags', 'favorite', 'useCount', 'version', 'restoredFrom', 'versions'
+];
+
+const isObject = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+const isString = (value) => typeof value === 'string';
+
+/**
+ * Checks one template against the storage schema (see `templateStore.js`).
+ *
+ * @param {*} tpl - The template read from a file.
+ * @returns {string|null} The first problem found, or null if the template is valid.
+ */
+const validateTemplate = (tpl) => {
+    if (!isObject(tpl)) return '不是有效的模板对象';
+    for (const [field, { check, required }] of Object.entries(TEMPLATE_SCHEMA)) {
+        if (tpl[field] === undefined || tpl[field] === null) {
+            if (required) return `缺少字段 ${field}`;
+        } else if (!check(tpl[field])) {
+            return `字段 ${field} 的格式不正确`;
+        }
+    }
+    return null;
+};
+
+/**
+ * Keeps only the known template fields.
+ *
+ * @param {Object} tpl - A template.
+ * @returns {Object} The template with the fields of the file format only.
+ */
+const pickFields = (tpl) => Object.fromEntries(
+    TEMPLATE_FIELDS.filter(field => tpl[field] !== undefined).map(field => [field, tpl[field]])
+);
+
+/**
+ * Serializes templates into the contents of a template file.
+ *
+ * @param {Array<Object>} templates - The templates to export.
+ * @returns {string} The file contents (pretty-printed JSON).
+ */
+export const serializeTemplates = (templates) => JSON.stringify({
+    format: TEMPLATE_FILE_FORMAT,
+    version: TEMPLATE_FILE_VERSION,
+    exportedAt: new Date().toISOString(),
+    templates: templates.map(pickFields)
+}, null, 2);
+
+/**
+ * Offers templates as a JSON file download.
+ * A single template is named after itself, several after the export date.
+ *
+ * @param {Array<Object>} templates - The templates to export.
+ */
+export const downloadTemplates = (templates) => {
+    const name = templates.length === 1
+        ? templates[0].name.replace(/[\\/:*?"<>|\s]+/g, '_')
+        : `bubble-templates-${new Date().toISOString().slice(0, 10)}`;
+    const url = URL.createObjectURL(new Blob([serializeTemplates(templates)], { type: 'application/json' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `${name}.json`;
+    link.click();
+    URL.revokeObjectURL(url);
+};
+
+/**
+ * Parses and validates the contents of a template file.
+ * Invalid templates are left out and reported; an unreadable file throws.
+ *
+ * @param {string} text - The file contents.
+ * @returns {Object} The result {templates, rejected}, where rejected lists {index, name, reason}.
+ * @throws {Error} If the file is not JSON, not a template file or from a newer version.
+ */
+export const parseTemplateFile = (text) => {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch {
+        throw new Error('文件不是有效的 JSON。');
+    }
+    if (!isObject(data) || data.format !== TEMPLATE_FILE_FORMAT || !Array.isArray(data.templates)) {
+        throw new Error('这不是泡泡盒子导出的模板文件。');
+    }
+    if (!Number.isInteger(data.version) || data.version < 1 || data.version > TEMPLATE_FILE_VERSION) {
+        throw new Error(`不支持的文件版本：${data.version}，请升级后再导入。`);
+    }
+
+    const templates = [];
+    const rejected = [];
+    data.templates.forEach((tpl, index) => {
+        const reason = validateTemplate(tpl);
+        if (reason) rejected.push({ index, name: isObject(tpl) && isString(tpl.name) ? tpl.name : '', reason });
+        else templates.push(pickFields(tpl));
+    });
+    return { templates, rejected };
+};
+
+/**
+ * Finds the saved template an imported one clashes with: same id, else same name.
+ *
+ * @param {Array<Object>} existing - The saved templates.
+ * @param {Object} tpl - The imported template.
+ * @returns {Object|undefined} The clashing saved template.
+ */
+export const findConflict = (existing, tpl) => (
+    existing.find(t => tpl.id !== undefined && t.id === tpl.id)
+    || existing.find(t => t.name === tpl.name)
+);
+
+/**
+ * Picks a name not used yet by appending a counter: "周报 (2)", "周报 (3)", ...
+ *
+ * @param {string} name - The wanted name.
+ * @param {Set<string>} used - The names in use.
+ * @returns {string} A free name.
+ */
+const uniqueName = (name, used) => {
+    let candidate = name;
+    for (let n = 2; used.has(candidate); n++) candidate = `${name} (${n})`;
+    return candidate;
+};
+
+/**
+ * Merges imported templates into the saved ones.
+ * Templates without a conflict are added; conflicting ones are renamed, overwrite the saved
+ * template in place, or are skipped, as given in `resolutions`.
+ *
+ * @param {Array<Object>} existing - The saved templates.
+ * @param {Array<Object>} incoming - The imported templates (from `parseTemplateFile`).
+ * @param {Object} [resolutions={}] - Resolution per incoming template index ('rename'|'overwrite'|'skip'); defaults to 'rename'.
+ * @returns {Object} The result {templates, added, overwritten, skipped}, with the merged list and counts.
+ */
+export const mergeTemplates = (existing, incoming, resolutions = {}) => {
+    const merged = [...existing];
+    const added = [];
+    const ids = new Set(existing.map(t => t.id));
+    const names = new Set(existing.map(t => t.name));
+    let lastId = Date.now();
+    const newId = () => {
+        while (ids.has(lastId)) lastId++;
+        ids.add(lastId);
+        return lastId;
+    };
+    let overwritten = 0;
+    let skipped = 0;
+
+    incoming.forEach((tpl, index) => {
+        // Earlier templates from the same file count as saved ones
+        const conflict = findConflict([...merged, ...added], tpl);
+        const resolution = conflict ? resolutions[index] || 'rename' : 'add';
+        const base = { date: new Date().toISOString(), ...tpl };
+
+        if (resolution === 'skip') {
+            skipped++;
+        } else if (resolution === 'overwrite') {
+            const target = merged.includes(conflict) ? merged : added;
+            target[target.indexOf(conflict)] = { ...base, id: conflict.id, name: conflict.name };
+            overwritten++;
+        } else {
+            const id = tpl.id === undefined || ids.has(tpl.id) ? newId() : tpl.id;
+            ids.add(id);
+            const name = uniqueName(tpl.name, names);
+            names.add(name);
+            added.push({ ...base, id, name });
+        }
+    });
+
+    return { templates: [...added, ...merged], added: added.length, overwritten, skipped };
+};
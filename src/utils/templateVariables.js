@@ -0,0 +1,109 @@
+/**
+ * @file templateVariables.js
+ * @description `{{variable}}` placeholders in saved templates.
+ * The task description, answers, persona and constraints may contain placeholders that are
+ * filled in each time the template is loaded. Supported forms:
+ * - `{{product}}`: a required text value.
+ * - `{{product|泡泡奶茶}}`: a value with a default.
+ * - `{{date:date}}`, `{{count:number|3}}`: a typed value (`text`, `number` or `date`), optionally with a default.
+ * Names may contain letters, digits, underscores and CJK characters.
+ *
+ * @module Utils/TemplateVariables
+ * @author Feng
+ * @date 2026-10-19
+ */
+
+/** Matches one placeholder: name, optional type and optional default. */
+const VARIABLE_PATTERN = /\{\{\s*([\w\u4e00-\u9fff]+)\s*(?::\s*(text|number|date)\s*)?(?:\|([^}]*))?\}\}/g;
+
+/** Value checks per variable type. */
+const TYPE_CHECKS = {
+    text: () => null,
+    number: (value) => (Number.isFinite(Number(value)) ? null : '请输入数字'),
+    date: (value) => (/^\d{4}-\d{2}-\d{2}$/.test(value) && !Number.isNaN(Date.parse(value)) ? null : '请输入日期，例如：2026-10-19')
+};
+
+/**
+ * Walks all strings in a value (strings, arrays and plain objects), replacing them with `fn(string)`.
+ *
+ * @param {*} value - The value to walk.
+ * @param {Function} fn - Called for every string; its result replaces the string.
+ * @returns {*} A copy of the value with the strings replaced.
+ */
+const mapStrings = (value, fn) => {
+    if (typeof value === 'string') return fn(value);
+    if (Array.isArray(value)) return value.map(item => mapStrings(item, fn));
+    if (value && typeof value === 'object') {
+        return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, mapStrings(item, fn)]));
+    }
+    return value;
+};
+
+/**
+ * Lists the placeholders used anywhere in a value.
+ * Each name is listed once; the first declared type and default win.
+ *
+ * @param {*} value - A string, or an object/array containing strings (e.g., a template).
+ * @returns {Array<Object>} The variables {name, type, defaultValue} in order of appearance.
+ */
+export const extractVariables = (value) => {
+    const found = new Map();
+    mapStrings(value, (text) => {
+        for (const [, name, type, defaultValue] of text.matchAll(VARIABLE_PATTERN)) {
+            const known = found.get(name);
+            if (!known) {
+                found.set(name, { name, type: type || 'text', defaultValue: defaultValue === undefined ? '' : defaultValue.trim() });
+            } else {
+                if (type && known.type === 'text') known.type = type;
+                if (!known.defaultValue && defaultValue) known.defaultValue = defaultValue.trim();
+            }
+        }
+        return text;
+    });
+    return [...found.values()];
+};
+
+/**
+ * Resolves the value of a variable: the entered value, or its default.
+ *
+ * @param {Object} variable - The variable {name, defaultValue}.
+ * @param {Object} values - Entered values keyed by name.
+ * @returns {string} The value to use (may be empty).
+ */
+const resolveValue = (variable, values) => {
+    const entered = (values[variable.name] ?? '').toString().trim();
+    return entered || variable.defaultValue;
+};
+
+/**
+ * Validates entered values: variables without a default are required, and typed values must match their type.
+ *
+ * @param {Array<Object>} variables - The variables from `extractVariables`.
+ * @param {Object} values - Entered values keyed by name.
+ * @returns {Object} Error messages keyed by variable name; empty if everything is valid.
+ */
+export const validateVariables = (variables, values) => {
+    const errors = {};
+    variables.forEach(variable => {
+        const value = resolveValue(variable, values);
+        const error = value ? TYPE_CHECKS[variable.type](value) : '请填写这个变量';
+        if (error) errors[variable.name] = error;
+    });
+    return errors;
+};
+
+/**
+ * Replaces the placeholders in a value with the entered values (or their defaults).
+ * Placeholders without a value are left untouched.
+ *
+ * @param {*} value - A string, or an object/array containing strings (e.g., a template).
+ * @param {Object} values - Entered values keyed by name.
+ * @returns {*} A copy of the value with the placeholders filled in.
+ */
+export const substituteVariables = (value, values) => {
+    const variables = new Map(extractVariables(value).map(v => [v.name, v]));
+    return mapStrings(value, (text) => text.replace(VARIABLE_PATTERN, (placeholder, name) => {
+        const resolved = resolveValue(variables.get(name), values);
+        return resolved || placeholder;
+    }));
+};
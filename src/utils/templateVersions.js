@@ -0,0 +1,185 @@
+/**
+ * @file templateVersions.js
+ * @description Version history of saved templates.
+ * A template's top-level fields always hold its current version (number `version`, saved at `date`);
+ * earlier versions are kept as snapshots in `versions`. Saving a new version or restoring an old one
+ * appends the current state to the history, so nothing is ever lost. Templates saved before versioning
+ * have no `version` and count as version 1.
+ *
+ * Versions are compared with a line diff of `generatedPrompt` and a field-by-field diff of the
+ * structured inputs.
+ *
+ * @module Utils/TemplateVersions
+ * @author Feng
+ * @date 2026-10-19
+ */
+
+import { questions as questionBank } from '../data/questions';
+
+/** Template fields that belong to a version; name, favorite and usage are shared by all versions. */
+export const VERSIONED_FIELDS = [
+    'taskInput', 'taskType', 'answers', 'selectedStyles', 'selectedIndustries', 'selectedTone', 'persona',
+    'customConstraints', 'disabledPresetConstraints', 'customTags', 'outputFormat', 'promptLocale',
+    'generatedPrompt', 'spec', 'tags'
+];
+
+/** Labels of the structured inputs shown in the diff (`generatedPrompt` and `spec` have their own view). */
+const INPUT_LABELS = {
+    taskInput: '任务描述',
+    taskType: '任务类型',
+    selectedStyles: '风格',
+    selectedIndustries: '行业',
+    selectedTone: '语气',
+    customConstraints: '自定义限制',
+    disabledPresetConstraints: '关闭的预设限制',
+    outputFormat: '输出格式',
+    promptLocale: '提示词语言',
+    'persona.role': '角色',
+    'persona.expertiseYears': '从业年限',
+    'persona.background': '角色背景'
+};
+
+/**
+ * Takes the versioned fields of a template, i.e. its content without names, history or usage data.
+ *
+ * @param {Object} tpl - The template (or a version snapshot).
+ * @returns {Object} The versioned fields.
+ */
+export const contentOf = (tpl) => Object.fromEntries(
+    VERSIONED_FIELDS.filter(field => tpl[field] !== undefined).map(field => [field, tpl[field]])
+);
+
+/**
+ * Lists all versions of a template, oldest first; the last one is the current version.
+ *
+ * @param {Object} tpl - The template.
+ * @returns {Array<Object>} The versions {version, date, restoredFrom?, ...versioned fields}.
+ */
+export const getVersions = (tpl) => [
+    ...(tpl.versions || []),
+    { version: tpl.version || 1, date: tpl.date, restoredFrom: tpl.restoredFrom, ...contentOf(tpl) }
+];
+
+/**
+ * Saves new content as the next version of a template. The new version holds exactly the given
+ * versioned fields; fields it lacks are not carried over from the current version.
+ *
+ * @param {Object} tpl - The template.
+ * @param {Object} content - The new versioned fields.
+ * @param {Object} [options] - Version options.
+ * @param {number} [options.restoredFrom] - The version the content was restored from.
+ * @returns {Object} The updated template.
+ */
+export const addVersion = (tpl, content, { restoredFrom } = {}) => {
+    const versions = getVersions(tpl);
+    const current = versions[versions.length - 1];
+    const shared = Object.fromEntries(Object.entries(tpl).filter(([field]) => !VERSIONED_FIELDS.includes(field)));
+    const next = { ...shared, ...contentOf(content), version: current.version + 1, date: new Date().toISOString(), versions };
+    if (restoredFrom) next.restoredFrom = restoredFrom;
+    else delete next.restoredFrom;
+    return next;
+};
+
+/**
+ * Restores an earlier version by saving its content as a new version.
+ *
+ * @param {Object} tpl - The template.
+ * @param {number} version - The version number to restore.
+ * @returns {Object} The updated template (unchanged if the version does not exist).
+ */
+export const restoreVersion = (tpl, version) => {
+    const old = getVersions(tpl).find(v => v.version === version);
+    return old ? addVersion(tpl, old, { restoredFrom: version }) : tpl;
+};
+
+/**
+ * Diffs two texts line by line (longest common subsequence).
+ *
+ * @param {string} before - The old text.
+ * @param {string} after - The new text.
+ * @returns {Array<Object>} The lines {type: 'same'|'added'|'removed', text} in display order.
+ */
+export const diffLines = (before = '', after = '') => {
+    const a = before.split('\n');
+    const b = after.split('\n');
+
+    // lcs[i][j]: length of the longest common subsequence of a[i..] and b[j..]
+    const lcs = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+    for (let i = a.length - 1; i >= 0; i--) {
+        for (let j = b.length - 1; j >= 0; j--) {
+            lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+        }
+    }
+
+    const lines = [];
+    let i = 0;
+    let j = 0;
+    while (i < a.length && j < b.length) {
+        if (a[i] === b[j]) {
+            lines.push({ type: 'same', text: a[i] });
+            i++;
+            j++;
+        } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+            lines.push({ type: 'removed', text: a[i++] });
+        } else {
+            lines.push({ type: 'added', text: b[j++] });
+        }
+    }
+    while (i < a.length) lines.push({ type: 'removed', text: a[i++] });
+    while (j < b.length) lines.push({ type: 'added', text: b[j++] });
+    return lines;
+};
+
+/**
+ * Turns an input value into display text.
+ *
+ * @param {*} value - A string, number, boolean or list.
+ * @returns {string} The text ('' for empty values).
+ */
+const displayValue = (value) => {
+    if (Array.isArray(value)) return value.join('、');
+    if (value === undefined || value === null) return '';
+    return String(value);
+};
+
+/**
+ * Flattens the structured inputs of a version into labelled values.
+ * Answers are labelled with their question, persona fields with their own label.
+ *
+ * @param {Object} version - The version.
+ * @returns {Map<string, Object>} Entries keyed by field path: {label, value}.
+ */
+const flattenInputs = (version) => {
+    const entries = new Map();
+    Object.keys(INPUT_LABELS).filter(key => !key.includes('.')).forEach(key => {
+        entries.set(key, { label: INPUT_LABELS[key], value: displayValue(version[key]) });
+    });
+    Object.entries(version.persona || {}).forEach(([key, value]) => {
+        entries.set(`persona.${key}`, { label: INPUT_LABELS[`persona.${key}`] || key, value: displayValue(value) });
+    });
+    Object.entries(version.answers || {}).forEach(([id, value]) => {
+        const question = questionBank.find(q => q.id === id);
+        entries.set(`answers.${id}`, { label: question ? question.label || question.text : id, value: displayValue(value) });
+    });
+    return entries;
+};
+
+/**
+ * Lists the structured inputs that differ between two versions.
+ *
+ * @param {Object} before - The old version.
+ * @param {Object} after - The new version.
+ * @returns {Array<Object>} The changes {key, label, before, after}.
+ */
+export const diffInputs = (before, after) => {
+    const a = flattenInputs(before);
+    const b = flattenInputs(after);
+    return [...new Set([...a.keys(), ...b.keys()])]
+        .map(key => ({
+            key,
+            label: (a.get(key) || b.get(key)).label,
+            before: a.get(key)?.value || '',
+            after: b.get(key)?.value || ''
+        }))
+        .filter(change => change.before !== change.after);
+};
@@ -0,0 +1,94 @@
+/**
+ * @file tokenEstimator.js
+ * @description Offline token estimation for generated prompts.
+ * Real tokenizers are too large to ship, so the text is split into CJK characters, Latin words,
+ * digit runs, punctuation and line breaks, and each kind is weighted by a per-tokenizer profile.
+ * The result is an estimate for budgeting, not an exact count.
+ *
+ * @module Utils/TokenEstimator
+ * @author Feng
+ * @date 2026-10-19
+ */
+
+/**
+ * Tokenizer profiles.
+ * - cjkPerChar: tokens per CJK character (kana and hangul included).
+ * - charsPerToken: average characters per token inside Latin words.
+ * - digitsPerToken: digits merged into one token.
+ * - newlinePerToken: tokens per line break.
+ */
+export const TOKENIZER_PROFILES = [
+    { id: 'o200k', label: 'GPT-4o / o 系列', cjkPerChar: 0.75, charsPerToken: 4.2, digitsPerToken: 3, newlinePerToken: 0.5 },
+    { id: 'cl100k', label: 'GPT-4 / GPT-3.5', cjkPerChar: 1.2, charsPerToken: 4, digitsPerToken: 3, newlinePerToken: 0.5 },
+    { id: 'claude', label: 'Claude', cjkPerChar: 1.1, charsPerToken: 3.6, digitsPerToken: 1, newlinePerToken: 1 },
+    { id: 'llama3', label: 'Llama 3 / Qwen', cjkPerChar: 0.8, charsPerToken: 4, digitsPerToken: 3, newlinePerToken: 0.5 }
+];
+
+/** Profile used when none (or an unknown one) is given. */
+export const DEFAULT_TOKENIZER = 'cl100k';
+
+/** Matches one CJK character (CJK punctuation, kana, ideographs, hangul and full-width forms). */
+const CJK_CHAR = /[\u3000-\u30ff\u3400-\u4dbf\u4e00-\u9fff\uac00-\ud7af\uf900-\ufaff\uff00-\uffef]/;
+
+/** Matches one CJK character that counts as a word (punctuation and full-width symbols excluded). */
+const CJK_WORD = /[\u3040-\u30ff\u3400-\u4dbf\u4e00-\u9fff\uac00-\ud7af\uf900-\ufaff]/g;
+
+/** Matches a Latin word (letters incl. accented ones). */
+const LATIN_WORD = /[A-Za-z\u00c0-\u024f]+/;
+
+/**
+ * Splits text into the pieces the estimate is based on:
+ * CJK characters, Latin words, digit runs, line breaks and other symbols. Spaces are dropped.
+ */
+const PIECE = new RegExp(`${CJK_CHAR.source}|${LATIN_WORD.source}|\\d+|\\n|[^\\s]`, 'g');
+
+/**
+ * Looks up a tokenizer profile.
+ *
+ * @param {string} [profileId] - The profile id.
+ * @returns {Object} The profile (the default one if the id is unknown).
+ */
+export const getTokenizerProfile = (profileId) => (
+    TOKENIZER_PROFILES.find(p => p.id === profileId)
+    || TOKENIZER_PROFILES.find(p => p.id === DEFAULT_TOKENIZER)
+);
+
+/**
+ * Estimates the token count of a text.
+ *
+ * @param {string} text - The text to measure.
+ * @param {string} [profileId='cl100k'] - The tokenizer profile.
+ * @returns {number} The estimated token count.
+ */
+export const estimateTokens = (text, profileId = DEFAULT_TOKENIZER) => {
+    const profile = getTokenizerProfile(profileId);
+    let tokens = 0;
+
+    (text.match(PIECE) || []).forEach(piece => {
+        if (CJK_CHAR.test(piece)) tokens += profile.cjkPerChar;
+        else if (LATIN_WORD.test(piece)) tokens += Math.max(1, piece.length / profile.charsPerToken);
+        else if (/^\d/.test(piece)) tokens += Math.ceil(piece.length / profile.digitsPerToken);
+        else if (piece === '\n') tokens += profile.newlinePerToken;
+        else tokens += 1;
+    });
+
+    return Math.ceil(tokens);
+};
+
+/**
+ * Counts characters, words and estimated tokens of a text.
+ * Every CJK character (except punctuation) counts as a word, as is usual for Chinese word counts.
+ *
+ * @param {string} text - The text to measure.
+ * @param {string} [profileId='cl100k'] - The tokenizer profile.
+ * @returns {Object} The counts {characters, words, tokens}.
+ */
+export const countText = (text, profileId = DEFAULT_TOKENIZER) => {
+    const cjk = (text.match(CJK_WORD) || []).length;
+    const latinWords = (text.match(/[A-Za-z\u00c0-\u024f0-9]+(?:['\u2019-][A-Za-z\u00c0-\u024f0-9]+)*/g) || []).length;
+    return {
+        characters: [...text].length,
+        words: cjk + latinWords,
+        tokens: estimateTokens(text, profileId)
+    };
+};
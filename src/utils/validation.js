@@ -0,0 +1,97 @@
+/**
+ * @file validation.js
+ * @description Validates wizard answers against the rules declared on each question:
+ * - `required`: the question can't be skipped or left empty.
+ * - `minLength` / `maxLength`: character limits for text answers (number of choices for multi-select).
+ * - `pattern`: a regular expression (as a string) the text answer must match.
+ * - `min` / `max`: bounds for number and range answers.
+ * - `messages`: custom error messages keyed by rule name (e.g., `{ pattern: '请输入版本号' }`).
+ * Empty answers are only checked by `required`.
+ *
+ * @module Utils/Validation
+ * @author Feng
+ * @date 2026-10-19
+ */
+
+import { hasAnswer } from './answerFormat';
+
+/**
+ * Default error messages, keyed by rule name.
+ * Functions receive the rule's parameter.
+ */
+const DEFAULT_MESSAGES = {
+    required: '这一题是必填的哦',
+    minLength: (n) => `至少需要 ${n} 个字`,
+    maxLength: (n) => `最多 ${n} 个字`,
+    minItems: (n) => `至少选择 ${n} 项`,
+    maxItems: (n) => `最多选择 ${n} 项`,
+    pattern: () => '格式不正确',
+    min: (n) => `不能小于 ${n}`,
+    max: (n) => `不能大于 ${n}`
+};
+
+/**
+ * Resolves the error message for a failed rule, preferring the question's custom message.
+ *
+ * @param {Object} question - The question.
+ * @param {string} rule - The rule name (key of `DEFAULT_MESSAGES`).
+ * @param {*} [param] - The rule's parameter.
+ * @param {string} [defaultRule=rule] - The default message to use when there is no custom one.
+ * @returns {string} The error message.
+ */
+const messageFor = (question, rule, param, defaultRule = rule) => {
+    const custom = question.messages && question.messages[rule];
+    if (custom) return custom;
+    const fallback = DEFAULT_MESSAGES[defaultRule];
+    return typeof fallback === 'function' ? fallback(param) : fallback;
+};
+
+/**
+ * Validates a single answer.
+ *
+ * @param {Object} question - The question with its validation rules.
+ * @param {*} value - The answer value.
+ * @returns {string|null} The error message, or null if the answer is valid.
+ */
+export const validateAnswer = (question, value) => {
+    if (!hasAnswer(value)) {
+        return question.required ? messageFor(question, 'required') : null;
+    }
+
+    if (Array.isArray(value)) {
+        if (question.minLength && value.length < question.minLength) return messageFor(question, 'minLength', question.minLength, 'minItems');
+        if (question.maxLength && value.length > question.maxLength) return messageFor(question, 'maxLength', question.maxLength, 'maxItems');
+        return null;
+    }
+
+    if (typeof value === 'number') {
+        if (question.min !== undefined && value < question.min) return messageFor(question, 'min', question.min);
+        if (question.max !== undefined && value > question.max) return messageFor(question, 'max', question.max);
+        return null;
+    }
+
+    if (typeof value === 'string') {
+        const text = value.trim();
+        if (question.minLength && text.length < question.minLength) return messageFor(question, 'minLength', question.minLength);
+        if (question.maxLength && text.length > question.maxLength) return messageFor(question, 'maxLength', question.maxLength);
+        if (question.pattern && !new RegExp(question.pattern).test(text)) return messageFor(question, 'pattern', question.pattern);
+    }
+
+    return null;
+};
+
+/**
+ * Validates the answers to a list of questions.
+ *
+ * @param {Array<Object>} questions - The questions to check (e.g., the visible ones).
+ * @param {Object} answers - Answers keyed by question id.
+ * @returns {Object} Error messages keyed by question id; empty if everything is valid.
+ */
+export const validateAnswers = (questions, answers) => {
+    const errors = {};
+    questions.forEach(q => {
+        const error = validateAnswer(q, answers[q.id]);
+        if (error) errors[q.id] = error;
+    });
+    return errors;
+};